@@ -0,0 +1,26 @@
+import { loadSearchIndex, createSearch } from './search.js';
+
+const query = document.getElementById('query');
+const localeSelect = document.getElementById('locale');
+const results = document.getElementById('results');
+
+const index = await loadSearchIndex();
+const search = createSearch(index);
+
+for (const code of index.locales) localeSelect.add(new Option(code, code));
+
+function render() {
+  results.replaceChildren(
+    ...search(query.value, { locale: localeSelect.value }).map(({ word, reading, jlpt, meaning, page }) => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = `character/${localeSelect.value}/${encodeURIComponent(page)}.json`;
+      link.textContent = word === reading ? word : `${word}【${reading}】`;
+      item.append(link, ` ${jlpt} — ${meaning}`);
+      return item;
+    })
+  );
+}
+
+query.addEventListener('input', render);
+localeSelect.addEventListener('change', render);
@@ -0,0 +1,85 @@
+/**
+ * Dataset attribution.
+ *
+ * build-indices.js records the version of each source dataset in
+ * indices/japanese/datasets.json; build.js combines those versions with the
+ * licences below into ATTRIBUTION.json at the repo root. Generated word
+ * files point back here through the dataset keys in their `sources` block.
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+
+const EDRDG = 'Electronic Dictionary Research and Development Group';
+
+export const DATASETS = {
+  jmdict: {
+    name: 'JMdict',
+    publisher: EDRDG,
+    url: 'https://www.edrdg.org/jmdict/j_jmdict.html',
+    licence: 'CC BY-SA 4.0',
+    licenceUrl: 'https://creativecommons.org/licenses/by-sa/4.0/',
+  },
+  kanjidic2: {
+    name: 'KANJIDIC2',
+    publisher: EDRDG,
+    url: 'https://www.edrdg.org/wiki/index.php/KANJIDIC_Project',
+    licence: 'CC BY-SA 4.0',
+    licenceUrl: 'https://creativecommons.org/licenses/by-sa/4.0/',
+  },
+  kradfile: {
+    name: 'KRADFILE/RADKFILE',
+    publisher: EDRDG,
+    url: 'https://www.edrdg.org/krad/kradinf.html',
+    licence: 'CC BY-SA 4.0',
+    licenceUrl: 'https://creativecommons.org/licenses/by-sa/4.0/',
+  },
+  tatoeba: {
+    name: 'Tatoeba',
+    publisher: 'Tatoeba contributors',
+    url: 'https://tatoeba.org',
+    licence: 'CC BY 2.0 FR',
+    licenceUrl: 'https://creativecommons.org/licenses/by/2.0/fr/',
+  },
+  pitch: {
+    name: 'Kanjium pitch accents',
+    publisher: 'Kanjium contributors',
+    url: 'https://github.com/mifunetoshiro/kanjium',
+    licence: 'CC BY-SA 4.0',
+    licenceUrl: 'https://creativecommons.org/licenses/by-sa/4.0/',
+  },
+  kanjivg: {
+    name: 'KanjiVG',
+    publisher: 'Ulrich Apel and KanjiVG contributors',
+    url: 'https://kanjivg.tagaini.net',
+    licence: 'CC BY-SA 3.0',
+    licenceUrl: 'https://creativecommons.org/licenses/by-sa/3.0/',
+  },
+};
+
+/**
+ * Write ATTRIBUTION.json for the datasets a build used.
+ *
+ * @param {string} path - Output path
+ * @param {string} datasetsPath - indices/japanese/datasets.json
+ * @param {string[]} used - Keys of DATASETS
+ * @param {object} [extra] - Per-dataset fields known only at build time
+ */
+export function writeAttribution(path, datasetsPath, used, extra = {}) {
+  const versions = existsSync(datasetsPath) ? JSON.parse(readFileSync(datasetsPath, 'utf-8')) : {};
+  const datasets = {};
+  for (const key of used) {
+    datasets[key] = { ...DATASETS[key], ...extra[key], version: versions[key] ?? null };
+  }
+  writeFileSync(
+    path,
+    JSON.stringify(
+      {
+        notice:
+          'Generated content is derived from the datasets below; reuse must keep their attribution and licence terms.',
+        datasets,
+      },
+      null,
+      2
+    ) + '\n'
+  );
+}
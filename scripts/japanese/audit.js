@@ -0,0 +1,278 @@
+/**
+ * Content QA audit.
+ *
+ * Scans the JLPT lists, the JMdict index and every generated word file and
+ * reports quality problems: missing sections, readings that disagree with the
+ * JLPT lists, empty or English-fallback translations, duplicate or off-list
+ * related words, idioms that repeat the headword's gloss and senses the
+ * filters dropped. Writes a machine-readable report and prints a per-level
+ * summary.
+ *
+ * Report shape (indices/japanese/audit.json by default):
+ *   { generatedAt, locales, checks: { code: description },
+ *     summary: { [jlpt]: { words, issues: { code: count } } },
+ *     issues: [{ code, word, jlpt, locale?, path?, detail }] }
+ */
+
+import { writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import { join, dirname, relative, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { toHiragana } from 'wanakana';
+import { LOCALES, DEFAULT_LOCALES, PRIMARY_LOCALE } from './locales.js';
+import { openJmdict } from './jmdict-index.js';
+import { loadJSON, loadJlptWords } from './shared.js';
+import { normalizeListReading } from './enrich/readings.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..', '..');
+const INDICES_DIR = join(ROOT, 'indices', 'japanese');
+
+const LEVELS = ['N5', 'N4', 'N3', 'N2', 'N1'];
+
+const CHECKS = {
+  'not-in-jmdict': 'Listed word has no JMdict entry, so no file was generated',
+  'filtered-out': 'Listed word is in JMdict but no file was generated (all senses filtered)',
+  'missing-output': 'File missing for this locale although other locales have one',
+  'invalid-json': 'File is not valid JSON',
+  'missing-meanings': 'No sense entries, or a sense with no meanings',
+  'missing-kanji': 'Word contains kanji but has no kanji breakdown',
+  'missing-pitch': 'No pitch accent',
+  'stroke-count-mismatch': "KanjiVG stroke order has a different stroke count than KANJIDIC2's stroke_count",
+  'missing-lessons': 'No lessons',
+  'missing-related': 'No related words',
+  'reading-mismatch': 'Headword reading differs from the JLPT list reading',
+  'related-reading-mismatch': 'Related word reading differs from its JLPT list reading',
+  'meaning-fallback': 'Meaning falls back to English (no locale meaning)',
+  'kanji-meaning-fallback': 'Kanji meanings fall back to English (no KANJIDIC2 meanings in the locale language)',
+  'needs-review': 'Machine translation awaiting review',
+  'empty-translation': 'Lesson translation is empty',
+  'lesson-english-fallback': 'Lesson shows the English sentence instead of a translation',
+  'duplicate-lesson': 'Same lesson sentence more than once',
+  'duplicate-related': 'Same related word more than once',
+  'related-self': 'Headword listed as its own related word',
+  'related-not-jlpt': 'Related word is not in any JLPT list',
+  'idiom-repeats-gloss': "Idiom is the headword itself or repeats the headword's gloss",
+  'first-sense-filtered': "JMdict's first sense was filtered out",
+};
+
+function normalizeReading(reading) {
+  return toHiragana(normalizeListReading(reading));
+}
+
+function hasKanji(text) {
+  return /[㐀-䶿一-鿿々]/.test(text);
+}
+
+function normalizeGloss(text) {
+  return (text ?? '').toLowerCase().replace(/^to /, '').replace(/\s*\(.*?\)\s*/g, ' ').trim();
+}
+
+/**
+ * Issues in one locale's document for one word.
+ */
+function auditDoc(doc, { jw, locale, lists, jmdict }) {
+  const issues = [];
+  const add = (code, path, detail) => issues.push({ code, path, detail });
+  const word = doc.definition?.word ?? jw.word;
+
+  // ── missing sections ──
+  const entries = doc.definition?.entries ?? [];
+  if (entries.length === 0) add('missing-meanings', '$.definition.entries', 'no entries');
+  entries.forEach((e, i) => {
+    if (!e.meanings?.some((m) => m?.trim())) add('missing-meanings', `$.definition.entries[${i}].meanings`, 'empty');
+  });
+  if (hasKanji(word) && !(doc.kanji?.length > 0)) add('missing-kanji', '$.kanji', word);
+  if (!doc.pitch) add('missing-pitch', '$.pitch', doc.definition?.reading ?? null);
+  (doc.kanji ?? []).forEach((k, i) => {
+    const strokes = k.strokeOrder?.strokes.length;
+    if (strokes && k.strokeCount && strokes !== k.strokeCount) {
+      add('stroke-count-mismatch', `$.kanji[${i}].strokeOrder`, `${k.character} (KanjiVG ${strokes}, KANJIDIC2 ${k.strokeCount})`);
+    }
+  });
+  if (!(doc.lessons?.length > 0)) add('missing-lessons', '$.lessons', null);
+  if (!(doc.related?.length > 0)) add('missing-related', '$.related', null);
+
+  // ── readings ──
+  const listReading = normalizeReading(jw.reading);
+  const reading = doc.definition?.reading;
+  if (listReading && reading && toHiragana(reading) !== listReading) {
+    add('reading-mismatch', '$.definition.reading', `${reading} (list: ${jw.reading})`);
+  }
+
+  // ── translations ──
+  if (locale.meanings === 'wordList' && !locale.wordList.has(jw.word)) {
+    add('meaning-fallback', '$.definition.entries', 'not in the locale word list');
+  } else if (locale.meanings === 'jmdict' && locale.glossLang !== 'eng' && entries.some((e) => e.pos?.length > 0)) {
+    add('meaning-fallback', '$.definition.entries', `no ${locale.glossLang} glosses`);
+  }
+  (doc.kanji ?? []).forEach((k, i) => {
+    if (k.meaningSource === 'english-fallback') add('kanji-meaning-fallback', `$.kanji[${i}].meanings`, k.character);
+  });
+  for (const [section, items] of [['definition.entries', entries], ['related', doc.related], ['idioms', doc.idioms]]) {
+    (items ?? []).forEach((item, i) => {
+      if (item.needsReview) add('needs-review', `$.${section}[${i}]`, item.meanings?.join(', ') ?? item.meaning);
+    });
+  }
+
+  const seenLessons = new Set();
+  (doc.lessons ?? []).forEach((lesson, i) => {
+    const translation = lesson[locale.lessonField];
+    if (!translation?.trim()) add('empty-translation', `$.lessons[${i}].${locale.lessonField}`, lesson.japanese);
+    if (lesson.lessonInfo?.translationSource === 'english-fallback') {
+      add('lesson-english-fallback', `$.lessons[${i}]`, lesson.japanese);
+    }
+    if (seenLessons.has(lesson.japanese)) add('duplicate-lesson', `$.lessons[${i}]`, lesson.japanese);
+    seenLessons.add(lesson.japanese);
+  });
+
+  // ── related ──
+  const seenRelated = new Map();
+  (doc.related ?? []).forEach((rel, i) => {
+    const path = `$.related[${i}]`;
+    if (rel.word === word || rel.word === jw.word) add('related-self', path, rel.word);
+    if (seenRelated.has(rel.word)) {
+      add('duplicate-related', path, `${rel.word} (${seenRelated.get(rel.word)} / ${rel.reading})`);
+    } else {
+      seenRelated.set(rel.word, rel.reading);
+    }
+    const listed = lists.readings.get(rel.word);
+    if (!listed) add('related-not-jlpt', path, rel.word);
+    else if (rel.reading && listed.size > 0 && !listed.has(toHiragana(rel.reading))) {
+      add('related-reading-mismatch', path, `${rel.word} ${rel.reading} (list: ${[...listed].join('/')})`);
+    }
+    if (!rel.meaning?.trim()) add('missing-meanings', `${path}.meaning`, rel.word);
+  });
+
+  // ── idioms ──
+  const glosses = new Set(entries.flatMap((e) => e.meanings ?? []).map(normalizeGloss));
+  (doc.idioms ?? []).forEach((idiom, i) => {
+    if (idiom.word === word || glosses.has(normalizeGloss(idiom.meaning))) {
+      add('idiom-repeats-gloss', `$.idioms[${i}]`, `${idiom.word}: ${idiom.meaning}`);
+    }
+  });
+
+  // ── filters: the entry's first English sense should survive ──
+  const seq = doc.sources?.jmdict?.entries?.[0];
+  if (seq && locale.code === PRIMARY_LOCALE) {
+    const first = jmdict.entries[seq]?.senses[0]?.meanings ?? [];
+    if (first.length > 0 && !entries.some((e) => e.meanings?.[0] === first[0])) {
+      add('first-sense-filtered', '$.definition.entries', first.join('; '));
+    }
+  }
+
+  return issues;
+}
+
+function printSummary(summary, localeCodes) {
+  console.log(`\nAudit summary (${localeCodes.join(', ')}):`);
+  const codes = Object.keys(CHECKS).filter((code) => LEVELS.some((l) => summary[l]?.issues[code]));
+  const header = ['check'.padEnd(26), ...LEVELS.map((l) => `${l} (${summary[l]?.words ?? 0})`.padStart(12))];
+  console.log(`  ${header.join('')}`);
+  for (const code of codes) {
+    const row = LEVELS.map((l) => String(summary[l]?.issues[code] ?? 0).padStart(12));
+    console.log(`  ${code.padEnd(26)}${row.join('')}`);
+  }
+  if (codes.length === 0) console.log('  no issues');
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const localesFlag = args.find((a) => a.startsWith('--locales='))?.split('=')[1];
+  const levelFlag = args.find((a) => a.startsWith('--level='))?.split('=')[1]?.toUpperCase();
+  const outFlag = args.find((a) => a.startsWith('--out='))?.split('=')[1];
+
+  if (args.includes('--help')) {
+    console.log('Usage:');
+    console.log('  node audit.js                    # audit character/<locale>/ for the default locales');
+    console.log('  node audit.js --locales=en,es    # locales to audit');
+    console.log('  node audit.js --level=N5         # one level');
+    console.log('  node audit.js --out=report.json  # report path (default: indices/japanese/audit.json)');
+    process.exit(0);
+  }
+
+  if (!existsSync(join(INDICES_DIR, 'jmdict', 'manifest.json'))) {
+    console.error('Missing jmdict/manifest.json. Run: npm run jp:download:core && npm run jp:build-indices');
+    process.exit(1);
+  }
+
+  const localeCodes = localesFlag ? localesFlag.split(',') : DEFAULT_LOCALES;
+  const locales = localeCodes.map((code) => {
+    const def = LOCALES[code];
+    if (!def) {
+      console.error(`Unknown locale "${code}". Known: ${Object.keys(LOCALES).join(', ')}`);
+      process.exit(1);
+    }
+    const wordList = new Map();
+    if (def.meanings === 'wordList') {
+      for (const w of loadJlptWords(join(ROOT, def.wordListDir))) wordList.set(w.word, w.meaning);
+    }
+    return { code, ...def, outDir: join(ROOT, def.outDir), wordList };
+  });
+
+  const jmdict = openJmdict(join(INDICES_DIR, 'jmdict'));
+  const primaryWords = loadJlptWords(join(ROOT, LOCALES[PRIMARY_LOCALE].wordListDir));
+
+  // word → list readings, for related-word checks
+  const readings = new Map();
+  for (const w of primaryWords) {
+    if (!readings.has(w.word)) readings.set(w.word, new Set());
+    const r = normalizeReading(w.reading);
+    if (r) readings.get(w.word).add(r);
+  }
+  const lists = { readings };
+
+  const seen = new Set();
+  let words = primaryWords.filter((w) => !seen.has(w.word) && seen.add(w.word));
+  if (levelFlag) words = words.filter((w) => w.jlpt === levelFlag);
+
+  console.log(`Auditing ${words.length} words in ${localeCodes.join(', ')}...`);
+  const issues = [];
+  const summary = {};
+
+  for (const jw of words) {
+    const level = (summary[jw.jlpt] ??= { words: 0, issues: {} });
+    level.words++;
+    const report = (issue) => {
+      issues.push({ code: issue.code, word: jw.word, jlpt: jw.jlpt, ...issue });
+      level.issues[issue.code] = (level.issues[issue.code] ?? 0) + 1;
+    };
+
+    const present = locales.filter((l) => existsSync(join(l.outDir, `${jw.word}.json`)));
+    if (present.length === 0) {
+      const inJmdict = jmdict.wordLookup[jw.word] || jmdict.readingLookup[jw.word];
+      report({ code: inJmdict ? 'filtered-out' : 'not-in-jmdict', detail: jw.reading });
+      continue;
+    }
+
+    for (const locale of locales) {
+      const path = join(locale.outDir, `${jw.word}.json`);
+      const file = relative(ROOT, path);
+      if (!present.includes(locale)) {
+        report({ code: 'missing-output', locale: locale.code, file, detail: null });
+        continue;
+      }
+      let doc;
+      try {
+        doc = loadJSON(path);
+      } catch (err) {
+        report({ code: 'invalid-json', locale: locale.code, file, detail: err.message });
+        continue;
+      }
+      for (const issue of auditDoc(doc, { jw, locale, lists, jmdict })) {
+        report({ locale: locale.code, file, ...issue });
+      }
+    }
+  }
+
+  const outPath = outFlag ? resolve(outFlag) : join(INDICES_DIR, 'audit.json');
+  mkdirSync(dirname(outPath), { recursive: true });
+  writeFileSync(
+    outPath,
+    JSON.stringify({ generatedAt: new Date().toISOString(), locales: localeCodes, checks: CHECKS, summary, issues }, null, 2)
+  );
+
+  printSummary(summary, localeCodes);
+  console.log(`\n${issues.length} issues. Report: ${relative(ROOT, outPath)}`);
+}
+
+main();
@@ -0,0 +1,197 @@
+/**
+ * Incremental build cache.
+ *
+ * While build.js generates a word, every input it reads is recorded through
+ * tracked views of the indices: JLPT rows and list lookups, JMdict entries
+ * (by seq) and lookup shards, KANJIDIC2/stroke/component/n-gram shards, the
+ * pitch entry and the example pool. The manifest stores the keys read plus a digest of their
+ * values; on the next run a word is skipped when re-reading the same keys
+ * yields the same digest.
+ *
+ * Manifest shape (indices/japanese/build-manifest.json):
+ *   { words: { [word]: { version, locales, digest, reads: { [category]: key[] } } } }
+ *
+ * build.js adds the word's outputs, pitch graphs and report data, and marks
+ * an entry `stale` when the word was skipped or failed after it was built.
+ */
+
+import { createHash } from 'node:crypto';
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { shardOf } from './jmdict-index.js';
+
+const LOOKUP_TABLES = ['wordLookup', 'readingLookup', 'kanjiCharIndex'];
+
+function sha1(text) {
+  return createHash('sha1').update(text).digest('hex');
+}
+
+export function hashValue(value) {
+  return sha1(JSON.stringify(value ?? null));
+}
+
+/**
+ * Collects (category, key) → value-hash pairs for one word.
+ */
+export function createTracker() {
+  const reads = {};
+  return {
+    record(category, key, value) {
+      (reads[category] ??= new Map()).set(String(key), hashValue(value));
+    },
+    recordHash(category, key, hash) {
+      (reads[category] ??= new Map()).set(String(key), hash);
+    },
+    reads,
+  };
+}
+
+/**
+ * Digest of recorded reads, independent of the order they happened in.
+ * @param {Object<string, Map<string,string>>} reads - category → key → value hash
+ * @param {number} version - Pipeline version
+ */
+export function digestReads(reads, version) {
+  const lines = [`version\0${version}`];
+  for (const category of Object.keys(reads).sort()) {
+    for (const [key, hash] of [...reads[category]].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))) {
+      lines.push(`${category}\0${key}\0${hash}`);
+    }
+  }
+  return sha1(lines.join('\n'));
+}
+
+/**
+ * Object view that records every property read under `category`.
+ */
+export function trackObject(obj, category, tracker) {
+  return new Proxy(obj, {
+    get(target, key) {
+      const value = target[key];
+      if (typeof key === 'string') tracker.record(category, key, value);
+      return value;
+    },
+  });
+}
+
+/**
+ * Map view (get/has) that records every key read under `category`,
+ * optionally prefixing keys (e.g. with a locale code).
+ */
+export function trackMap(map, category, tracker, prefix = '') {
+  return {
+    get(key) {
+      const value = map.get(key);
+      tracker.record(category, prefix + key, value);
+      return value;
+    },
+    has(key) {
+      return this.get(key) !== undefined;
+    },
+  };
+}
+
+/**
+ * Function view that records each call's arguments (tab-joined, the key) and
+ * result under `category`.
+ */
+export function trackFunction(fn, category, tracker) {
+  return (...args) => {
+    const value = fn(...args);
+    tracker.record(category, args.join('\t'), value);
+    return value;
+  };
+}
+
+/**
+ * View of a standalone sharded table (see shards.js) that records each read
+ * under `category` by its shard's hash, so checking a cached word never loads
+ * the shards.
+ *
+ * @param {{ table: object, manifest: object|null, shardOf: (key: string) => string }} sharded
+ */
+export function trackShards({ table, manifest, shardOf }, category, tracker) {
+  const record = (shard) => tracker.recordHash(category, shard, manifest?.hashes[shard] ?? null);
+  return new Proxy(table, {
+    get(target, key) {
+      if (typeof key === 'string' && key !== '') record(shardOf(key));
+      return target[key];
+    },
+    ownKeys(target) {
+      for (const shard of manifest?.shards ?? []) record(shard);
+      return Reflect.ownKeys(target);
+    },
+  });
+}
+
+/**
+ * JMdict view for one word. Entries are recorded per seq; lookup tables are
+ * recorded per shard (by the shard hash in the JMdict manifest), since the
+ * furigana segmenter probes far more keys than it finds.
+ */
+export function trackJmdict(jmdict, tracker) {
+  const view = { ...jmdict, entries: trackObject(jmdict.entries, 'entries', tracker) };
+  for (const table of LOOKUP_TABLES) {
+    const hashes = jmdict.manifest.hashes[table];
+    view[table] = new Proxy(jmdict[table], {
+      get(target, key) {
+        if (typeof key === 'string' && key !== '') {
+          const shard = shardOf(table, key);
+          tracker.recordHash('jmdictShards', `${table}/${shard}`, hashes[shard] ?? null);
+        }
+        return target[key];
+      },
+      ownKeys(target) {
+        for (const shard of jmdict.manifest.shards[table]) {
+          tracker.recordHash('jmdictShards', `${table}/${shard}`, hashes[shard]);
+        }
+        return Reflect.ownKeys(target);
+      },
+    });
+  }
+  return view;
+}
+
+export function loadBuildManifest(path) {
+  if (!existsSync(path)) return { words: {} };
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch {
+    console.log('  Build manifest unreadable — rebuilding everything.');
+    return { words: {} };
+  }
+}
+
+export function saveBuildManifest(path, manifest) {
+  writeFileSync(path, JSON.stringify(manifest));
+}
+
+/**
+ * Serialize a tracker's reads for the manifest (keys only; values are in the digest).
+ */
+export function manifestEntry(tracker, version, locales) {
+  const reads = {};
+  for (const [category, map] of Object.entries(tracker.reads)) {
+    reads[category] = [...map.keys()];
+  }
+  return { version, locales, digest: digestReads(tracker.reads, version), reads };
+}
+
+/**
+ * Whether a cached word is still current: same pipeline version and locales,
+ * and re-reading every recorded key gives the same digest.
+ *
+ * @param {object} cached - Manifest entry for the word
+ * @param {number} version
+ * @param {string[]} locales
+ * @param {(category: string, key: string) => string} resolveHash - Current value hash of a key
+ */
+export function isUpToDate(cached, version, locales, resolveHash) {
+  if (!cached || cached.version !== version) return false;
+  if (cached.locales.join(',') !== locales.join(',')) return false;
+
+  const reads = {};
+  for (const [category, keys] of Object.entries(cached.reads)) {
+    reads[category] = new Map(keys.map((key) => [key, resolveHash(category, key)]));
+  }
+  return digestReads(reads, version) === cached.digest;
+}
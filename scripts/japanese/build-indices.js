@@ -1,13 +1,27 @@
-import { readFileSync, writeFileSync, existsSync, mkdirSync, createReadStream } from 'node:fs';
+import {
+  readFileSync, writeFileSync, existsSync, mkdirSync, createReadStream, statSync, readdirSync,
+  openSync, readSync, writeSync, closeSync,
+} from 'node:fs';
 import { createInterface } from 'node:readline';
-import { join, dirname } from 'node:path';
+import { join, dirname, basename } from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { createHash } from 'node:crypto';
 import { XMLParser } from 'fast-xml-parser';
+import { LOCALES, DEFAULT_LOCALES, exampleLanguages } from './locales.js';
+import { writeJmdictShards } from './jmdict-index.js';
+import { writeShardedTable } from './shards.js';
+import { isKanji } from './shared.js';
+import { buildExpressionIndex } from './enrich/idioms.js';
+import { pitchKey, parsePatterns } from './enrich/pitch.js';
+import { kanjiVGCharacter, parseKanjiVG } from './enrich/strokes.js';
+import { parseKradfile, parseRadkfile } from './enrich/radicals.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT = join(__dirname, '..', '..');
 const DATA_DIR = join(ROOT, 'data', 'japanese');
 const INDEX_DIR = join(ROOT, 'indices', 'japanese');
+// Tatoeba translations are only parsed for these locales' languages
+const LOCALE_CODES = process.argv.find((a) => a.startsWith('--locales='))?.split('=')[1]?.split(',') ?? DEFAULT_LOCALES;
 
 function ensureDir(dir) {
   mkdirSync(dir, { recursive: true });
@@ -22,54 +36,190 @@ const ARRAY_TAGS = [
   'cp_value', 'rad_value', 'variant', 'nanori', 'q_code'
 ];
 
-function isKanji(char) {
-  const code = char.codePointAt(0);
-  return (code >= 0x4E00 && code <= 0x9FFF) ||
-         (code >= 0x3400 && code <= 0x4DBF) ||
-         (code >= 0x20000 && code <= 0x2A6DF);
+// ─────────────────────────────────────────────
+//  Streaming XML
+// ─────────────────────────────────────────────
+
+const MB = 1024 * 1024;
+const PROGRESS_STEP = 0.1;
+let peakRss = 0;
+
+function memoryUsage() {
+  const { rss, heapUsed } = process.memoryUsage();
+  peakRss = Math.max(peakRss, rss);
+  return `heap ${Math.round(heapUsed / MB)} MB, rss ${Math.round(rss / MB)} MB`;
+}
+
+/**
+ * Stream the repeated top-level elements of a large XML file one at a time,
+ * without holding the whole document in memory.
+ *
+ * The internal DTD subset is handed to `onDoctype` before the first element
+ * and never yielded. Elements are found by their literal `<tag>` / `</tag>`
+ * markers, which holds for JMdict `<entry>` and KANJIDIC2 `<character>`.
+ *
+ * @param {string} path
+ * @param {string} tag
+ * @param {(doctype: string) => void} [onDoctype]
+ * @returns {AsyncGenerator<string>} Raw XML of each element
+ */
+async function* streamElements(path, tag, onDoctype) {
+  const open = `<${tag}>`;
+  const close = `</${tag}>`;
+  const total = statSync(path).size;
+  let nextReport = PROGRESS_STEP;
+  let count = 0;
+  let buf = '';
+  let doctypeDone = false;
+
+  const stream = createReadStream(path, { encoding: 'utf-8' });
+  for await (const chunk of stream) {
+    buf += chunk;
+
+    if (!doctypeDone) {
+      const start = buf.indexOf('<!DOCTYPE');
+      const firstEl = buf.indexOf(open);
+      if (start !== -1 && (firstEl === -1 || start < firstEl)) {
+        const end = buf.indexOf(']>', start);
+        if (end === -1) continue;
+        onDoctype?.(buf.slice(start, end + 2));
+        buf = buf.slice(end + 2);
+        doctypeDone = true;
+      } else if (firstEl !== -1) {
+        doctypeDone = true;
+      } else {
+        continue;
+      }
+    }
+
+    let pos = 0;
+    for (;;) {
+      const end = buf.indexOf(close, pos);
+      if (end === -1) break;
+      const start = buf.indexOf(open, pos);
+      pos = end + close.length;
+      if (start === -1 || start > end) continue;
+      count++;
+      yield buf.slice(start, pos);
+    }
+    buf = buf.slice(pos);
+
+    const done = stream.bytesRead / total;
+    if (done >= nextReport) {
+      console.log(`  ${basename(path)}: ${Math.floor(done * 100)}% · ${count} <${tag}> · ${memoryUsage()}`);
+      while (nextReport <= done) nextReport += PROGRESS_STEP;
+    }
+  }
+}
+
+/**
+ * Write `value` as JSON, streaming the first `depth` levels of object keys
+ * to disk instead of building one giant string. Byte-identical to
+ * JSON.stringify(value) for plain data.
+ */
+function writeJsonStream(path, value, depth) {
+  const fd = openSync(path, 'w');
+  let pending = '';
+  const emit = (str) => {
+    pending += str;
+    if (pending.length >= MB) {
+      writeSync(fd, pending);
+      pending = '';
+    }
+  };
+
+  const write = (val, level) => {
+    if (level >= depth || val === null || typeof val !== 'object' || Array.isArray(val)) {
+      emit(JSON.stringify(val));
+      return;
+    }
+    emit('{');
+    let first = true;
+    for (const key of Object.keys(val)) {
+      if (val[key] === undefined) continue;
+      emit(`${first ? '' : ','}${JSON.stringify(key)}:`);
+      write(val[key], level + 1);
+      first = false;
+    }
+    emit('}');
+  };
+
+  write(value, 0);
+  writeSync(fd, pending);
+  closeSync(fd);
+}
+
+// ─────────────────────────────────────────────
+//  Dataset versions
+// ─────────────────────────────────────────────
+
+const DATASETS_PATH = join(INDEX_DIR, 'datasets.json');
+
+/**
+ * First match of `pattern` in the leading bytes of a file, where the
+ * JMdict and KANJIDIC2 exports keep their creation dates.
+ */
+function readHeader(path, pattern, maxBytes = MB) {
+  const fd = openSync(path, 'r');
+  try {
+    const buf = Buffer.alloc(maxBytes);
+    const n = readSync(fd, buf, 0, maxBytes, 0);
+    return buf.toString('utf-8', 0, n).match(pattern);
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Record the version of one source dataset in datasets.json; build.js copies
+ * it into ATTRIBUTION.json.
+ */
+function recordDataset(key, version) {
+  const datasets = existsSync(DATASETS_PATH) ? JSON.parse(readFileSync(DATASETS_PATH, 'utf-8')) : {};
+  datasets[key] = version;
+  writeFileSync(DATASETS_PATH, JSON.stringify(datasets, null, 2));
 }
 
 // ─────────────────────────────────────────────
 //  JMdict
 // ─────────────────────────────────────────────
 
-function buildJmdict() {
-  const xmlPath = join(DATA_DIR, 'JMdict_e.xml');
+async function buildJmdict() {
+  // The multilingual JMdict.xml (ger/fre/rus/spa/dut… glosses) is used when present
+  const fullPath = join(DATA_DIR, 'JMdict.xml');
+  const xmlPath = existsSync(fullPath) ? fullPath : join(DATA_DIR, 'JMdict_e.xml');
   if (!existsSync(xmlPath)) {
     console.error('JMdict_e.xml not found. Run download first.');
     process.exit(1);
   }
 
-  console.log('Reading JMdict XML...');
-  let xml = readFileSync(xmlPath, 'utf-8');
+  console.log(`Streaming ${xmlPath.endsWith('JMdict.xml') ? 'multilingual ' : ''}JMdict XML...`);
 
-  // Expand DTD entities (&v1; → "Ichidan verb", etc.)
-  console.log('Expanding DTD entities...');
+  // DTD entities (&v1; → "Ichidan verb", etc.) are read from the internal
+  // subset and expanded per entry as it streams past.
   const entityMap = {};
-  const entityRe = /<!ENTITY\s+(\S+)\s+"([^"]+)">/g;
-  let m;
-  while ((m = entityRe.exec(xml)) !== null) {
-    entityMap[m[1]] = m[2];
-  }
-  xml = xml.replace(/&([\w.-]+);/g, (full, name) => entityMap[name] ?? full);
-  xml = xml.replace(/<!DOCTYPE[\s\S]*?\]>/, '');
+  const onDoctype = (doctype) => {
+    const entityRe = /<!ENTITY\s+(\S+)\s+"([^"]+)">/g;
+    let m;
+    while ((m = entityRe.exec(doctype)) !== null) {
+      entityMap[m[1]] = m[2];
+    }
+  };
 
-  console.log('Parsing XML...');
+  // Attributes are kept so gloss xml:lang can split English from other languages
   const parser = new XMLParser({
-    ignoreAttributes: true,
+    ignoreAttributes: false,
     isArray: (name) => ARRAY_TAGS.includes(name),
   });
-  const doc = parser.parse(xml);
-  const rawEntries = doc.JMdict.entry;
-
-  console.log(`Parsed ${rawEntries.length} entries. Building index...`);
 
   const entries = {};
   const wordLookup = {};
   const readingLookup = {};
   const kanjiCharIndex = {};
 
-  for (const raw of rawEntries) {
+  for await (const xml of streamElements(xmlPath, 'entry', onDoctype)) {
+    const expanded = xml.replace(/&([\w.-]+);/g, (full, name) => entityMap[name] ?? full);
+    const raw = parser.parse(expanded).entry[0];
     const seq = String(raw.ent_seq);
     const kanji = (raw.k_ele || []).flatMap((k) => k.keb || []);
     const readings = (raw.r_ele || []).flatMap((r) => r.reb || []);
@@ -80,16 +230,48 @@ function buildJmdict() {
     ]);
     const priority = [...prioritySet];
 
-    const senses = (raw.sense || []).map((s) => ({
-      pos: (s.pos || []).map(String),
-      meanings: (s.gloss || []).map((g) =>
-        typeof g === 'object' ? String(g['#text'] ?? g) : String(g)
-      ),
-      misc: (s.misc || []).map(String),
-      field: (s.field || []).map(String),
+    // Per-element detail, for pairing each spelling with its own readings
+    const kanjiForms = (raw.k_ele || []).map((k) => ({
+      text: String(k.keb?.[0] ?? ''),
+      priority: (k.ke_pri || []).map(String),
+      info: (k.ke_inf || []).map(String),
+    }));
+    const readingForms = (raw.r_ele || []).map((r) => ({
+      text: String(r.reb?.[0] ?? ''),
+      priority: (r.re_pri || []).map(String),
+      info: (r.re_inf || []).map(String),
+      ...(r.re_restr?.length > 0 && { restrict: r.re_restr.map(String) }),
+      ...('re_nokanji' in r && { noKanji: true }),
     }));
 
-    entries[seq] = { seq, kanji, readings, priority, senses };
+    // English senses keep pos/misc; other-language senses in the multilingual
+    // file carry glosses only and are collected per language.
+    const senses = [];
+    const glosses = {};
+    for (const s of raw.sense || []) {
+      const byLang = {};
+      for (const g of s.gloss || []) {
+        const lang = (typeof g === 'object' && g['@_xml:lang']) || 'eng';
+        (byLang[lang] ??= []).push(typeof g === 'object' ? String(g['#text'] ?? g) : String(g));
+      }
+      const langs = Object.keys(byLang);
+      if (langs.length === 0 || byLang.eng) {
+        senses.push({
+          pos: (s.pos || []).map(String),
+          meanings: byLang.eng ?? [],
+          misc: (s.misc || []).map(String),
+          field: (s.field || []).map(String),
+        });
+      }
+      for (const lang of langs) {
+        if (lang !== 'eng') (glosses[lang] ??= []).push(byLang[lang]);
+      }
+    }
+
+    entries[seq] = {
+      seq, kanji, readings, priority, kanjiForms, readingForms, senses,
+      ...(Object.keys(glosses).length > 0 && { glosses }),
+    };
 
     for (const k of kanji) {
       (wordLookup[k] ??= []).push(seq);
@@ -114,26 +296,39 @@ function buildJmdict() {
   const index = { entries, wordLookup, readingLookup, kanjiCharIndex };
   const outPath = join(INDEX_DIR, 'jmdict.json');
   console.log(`Writing ${outPath}...`);
-  writeFileSync(outPath, JSON.stringify(index));
-  console.log(`JMdict index: ${Object.keys(entries).length} entries.\n`);
+  writeJsonStream(outPath, index, 2);
+
+  // Sharded copy for build.js, which loads only the shards a word needs
+  const shardDir = join(INDEX_DIR, 'jmdict');
+  console.log(`Writing shards to ${shardDir}/...`);
+  const { shards } = writeJmdictShards(index, shardDir);
+  const shardCount = Object.values(shards).reduce((n, list) => n + list.length, 0);
+  console.log(`JMdict index: ${Object.keys(entries).length} entries, ${shardCount} shards (${memoryUsage()}).`);
+
+  recordDataset('jmdict', {
+    file: basename(xmlPath),
+    created: readHeader(xmlPath, /<!-- JMdict created: ([\d-]+) -->/)?.[1] ?? null,
+  });
+
+  // Idioms/proverbs/expressions searchable by substring, for enrich/idioms.js
+  const expressions = buildExpressionIndex(entries);
+  writeFileSync(join(INDEX_DIR, 'expressions.json'), JSON.stringify(expressions));
+  writeShardedTable(join(INDEX_DIR, 'expressions'), expressions.grams);
+  console.log(`Expression index: ${expressions.count} expressions, ${Object.keys(expressions.grams).length} n-grams.\n`);
 }
 
 // ─────────────────────────────────────────────
 //  KANJIDIC2
 // ─────────────────────────────────────────────
 
-function buildKanjidic2() {
+async function buildKanjidic2() {
   const xmlPath = join(DATA_DIR, 'kanjidic2.xml');
   if (!existsSync(xmlPath)) {
     console.error('kanjidic2.xml not found. Run download first.');
     process.exit(1);
   }
 
-  console.log('Reading KANJIDIC2 XML...');
-  let xml = readFileSync(xmlPath, 'utf-8');
-  xml = xml.replace(/<!DOCTYPE[\s\S]*?\]>/, '');
-
-  console.log('Parsing XML...');
+  console.log('Streaming KANJIDIC2 XML...');
   const K2_ARRAY_TAGS = [
     'character', 'meaning', 'reading', 'rmgroup',
     'cp_value', 'rad_value', 'variant', 'nanori', 'q_code',
@@ -142,19 +337,18 @@ function buildKanjidic2() {
     ignoreAttributes: false,
     isArray: (name) => K2_ARRAY_TAGS.includes(name),
   });
-  const doc = parser.parse(xml);
-  const chars = doc.kanjidic2.character;
-
-  console.log(`Parsed ${chars.length} characters. Building index...`);
 
   const index = {};
 
-  for (const c of chars) {
+  for await (const xml of streamElements(xmlPath, 'character')) {
+    const c = parser.parse(xml).character[0];
     const literal = c.literal;
     const rmgroups = c.reading_meaning?.rmgroup || [];
     const onyomi = [];
     const kunyomi = [];
     const meanings = [];
+    // Other languages' meanings by KANJIDIC2 m_lang (ISO 639-1: fr, es, pt)
+    const localizedMeanings = {};
 
     for (const g of rmgroups) {
       for (const r of g.reading || []) {
@@ -167,42 +361,86 @@ function buildKanjidic2() {
         if (typeof m === 'string') {
           meanings.push(m);
         } else if (typeof m === 'object') {
-          if (!m['@_m_lang'] || m['@_m_lang'] === 'en') {
-            meanings.push(String(m['#text'] ?? ''));
-          }
+          const lang = m['@_m_lang'] || 'en';
+          if (lang === 'en') meanings.push(String(m['#text'] ?? ''));
+          else (localizedMeanings[lang] ??= []).push(String(m['#text'] ?? ''));
         }
       }
     }
 
     const misc = c.misc || {};
     const sc = Array.isArray(misc.stroke_count) ? misc.stroke_count[0] : misc.stroke_count;
+    const classical = (c.radical?.rad_value || []).find((r) => r['@_rad_type'] === 'classical');
 
     index[literal] = {
       character: literal,
       meanings,
+      ...(Object.keys(localizedMeanings).length > 0 && { localizedMeanings }),
       onyomi,
       kunyomi,
       strokeCount: sc ? Number(sc) : null,
       grade: misc.grade ? Number(misc.grade) : null,
       jlpt: misc.jlpt ? Number(misc.jlpt) : null,
       frequency: misc.freq ? Number(misc.freq) : null,
+      radical: classical ? Number(classical['#text']) : null,
     };
   }
 
   const outPath = join(INDEX_DIR, 'kanjidic2.json');
   console.log(`Writing ${outPath}...`);
-  writeFileSync(outPath, JSON.stringify(index));
-  console.log(`KANJIDIC2 index: ${Object.keys(index).length} characters.\n`);
+  writeJsonStream(outPath, index, 1);
+  // Sharded copy for build.js, like JMdict's
+  const { shards } = writeShardedTable(join(INDEX_DIR, 'kanjidic2'), index);
+  console.log(`KANJIDIC2 index: ${Object.keys(index).length} characters, ${shards.length} shards (${memoryUsage()}).\n`);
+
+  recordDataset('kanjidic2', {
+    file: basename(xmlPath),
+    databaseVersion: readHeader(xmlPath, /<database_version>([^<]+)</)?.[1] ?? null,
+    created: readHeader(xmlPath, /<date_of_creation>([^<]+)</)?.[1] ?? null,
+  });
 }
 
 // ─────────────────────────────────────────────
 //  Tatoeba
 // ─────────────────────────────────────────────
 
+/**
+ * Sentence file for a language: the detailed export (with contributor
+ * usernames) when downloaded, else the plain one.
+ */
+function sentencesPath(tatDir, lang) {
+  const detailed = join(tatDir, `${lang}_sentences_detailed.tsv`);
+  return existsSync(detailed) ? detailed : join(tatDir, `${lang}_sentences.tsv`);
+}
+
+/**
+ * Read id → text. Detailed exports add username, date added and date
+ * modified columns; usernames go into `users` (ids are unique across
+ * languages, so one map serves them all).
+ */
+async function readSentences(path, users) {
+  const sentences = {};
+  for await (const line of createInterface({ input: createReadStream(path) })) {
+    const [id, , text, user] = line.split('\t');
+    if (!id || !text) continue;
+    sentences[id] = text;
+    if (user && user !== '\\N') users.set(id, user);
+  }
+  return sentences;
+}
+
+/**
+ * { lang: username } for the sentences that have one, or null.
+ */
+function contributors(ids, users) {
+  const known = Object.entries(ids).filter(([, id]) => users.has(id));
+  return known.length > 0 ? Object.fromEntries(known.map(([lang, id]) => [lang, users.get(id)])) : null;
+}
+
 async function buildTatoeba() {
   const tatDir = join(DATA_DIR, 'tatoeba');
-  const jpnPath = join(tatDir, 'jpn_sentences.tsv');
-  const engPath = join(tatDir, 'eng_sentences.tsv');
+  const jpnPath = sentencesPath(tatDir, 'jpn');
+  const engPath = sentencesPath(tatDir, 'eng');
   const linksPath = join(tatDir, 'links.csv');
 
   if (!existsSync(jpnPath) || !existsSync(engPath) || !existsSync(linksPath)) {
@@ -210,41 +448,256 @@ async function buildTatoeba() {
     return;
   }
 
+  const users = new Map(); // sentence id → contributor username
   console.log('Parsing Japanese sentences...');
-  const jpn = {};
-  for await (const line of createInterface({ input: createReadStream(jpnPath) })) {
-    const [id, , text] = line.split('\t');
-    if (id && text) jpn[id] = text;
-  }
+  const jpn = await readSentences(jpnPath, users);
   console.log(`  ${Object.keys(jpn).length} sentences`);
 
   console.log('Parsing English sentences...');
-  const eng = {};
-  for await (const line of createInterface({ input: createReadStream(engPath) })) {
-    const [id, , text] = line.split('\t');
-    if (id && text) eng[id] = text;
-  }
+  const eng = await readSentences(engPath, users);
   console.log(`  ${Object.keys(eng).length} sentences`);
 
+  // Locale translation languages (ind, spa, …)
+  const langs = {};
+  const langOf = new Map(); // sentence id → language code
+  for (const lang of exampleLanguages(LOCALE_CODES)) {
+    const path = sentencesPath(tatDir, lang);
+    if (!existsSync(path)) {
+      console.log(`${lang}_sentences.tsv not found — ${lang} translations will be missing.`);
+      continue;
+    }
+    console.log(`Parsing ${lang} sentences...`);
+    langs[lang] = await readSentences(path, users);
+    for (const id of Object.keys(langs[lang])) langOf.set(id, lang);
+    console.log(`  ${Object.keys(langs[lang]).length} sentences`);
+  }
+
   console.log('Building translation pairs (this may take a minute)...');
   const jpnIds = new Set(Object.keys(jpn));
   const engIds = new Set(Object.keys(eng));
-  const pairs = [];
+  const jpnEng = [];
+  const direct = new Map(); // jpn id → { lang → first directly linked id }
+  const viaEng = new Map(); // eng id → { lang → first linked id }
+
+  const link = (map, from, lang, to) => {
+    const byLang = map.get(from) ?? {};
+    byLang[lang] ??= to;
+    map.set(from, byLang);
+  };
 
   for await (const line of createInterface({ input: createReadStream(linksPath) })) {
     const [id1, id2] = line.split('\t');
     if (jpnIds.has(id1) && engIds.has(id2)) {
-      pairs.push({ japanese: jpn[id1], english: eng[id2] });
+      jpnEng.push([id1, id2]);
     } else if (jpnIds.has(id2) && engIds.has(id1)) {
-      pairs.push({ japanese: jpn[id2], english: eng[id1] });
+      jpnEng.push([id2, id1]);
+    } else if (langOf.has(id2) || langOf.has(id1)) {
+      const [other, transId] = langOf.has(id2) ? [id1, id2] : [id2, id1];
+      const lang = langOf.get(transId);
+      if (jpnIds.has(other)) link(direct, other, lang, transId);
+      if (engIds.has(other)) link(viaEng, other, lang, transId);
     }
   }
-  console.log(`  ${pairs.length} Japanese-English pairs`);
+
+  // Direct jpn↔lang links win; otherwise pivot through the paired English sentence.
+  // Japanese sentences with direct translations but no English one become
+  // pairs too, with `english` null.
+  const englishLinked = new Set(jpnEng.map(([jpnId]) => jpnId));
+  const directOnly = [...direct.keys()].filter((jpnId) => !englishLinked.has(jpnId));
+  const pairs = [];
+  const stats = {};
+  for (const [jpnId, engId] of [...jpnEng, ...directOnly.map((jpnId) => [jpnId, null])]) {
+    const pair = {
+      japanese: jpn[jpnId],
+      english: engId ? eng[engId] : null,
+      ids: engId ? { jpn: jpnId, eng: engId } : { jpn: jpnId },
+    };
+    const pairUsers = contributors(pair.ids, users);
+    if (pairUsers) pair.users = pairUsers;
+    for (const lang of Object.keys(langs)) {
+      const directId = direct.get(jpnId)?.[lang];
+      const pivotId = engId && viaEng.get(engId)?.[lang];
+      const source = directId ? 'direct' : pivotId ? 'pivot' : null;
+      if (!source) continue;
+      const id = directId ?? pivotId;
+      (pair.translations ??= {})[lang] = {
+        text: langs[lang][id],
+        source,
+        id,
+        ...(users.has(id) && { user: users.get(id) }),
+      };
+      stats[lang] ??= { direct: 0, pivot: 0 };
+      stats[lang][source]++;
+    }
+    pairs.push(pair);
+  }
+  console.log(`  ${jpnEng.length} Japanese-English pairs, ${directOnly.length} Japanese sentences with direct translations only`);
+  for (const [lang, { direct: d, pivot: p }] of Object.entries(stats)) {
+    console.log(`  ${lang}: ${d} direct, ${p} via English pivot`);
+  }
 
   const outPath = join(INDEX_DIR, 'tatoeba.json');
   console.log(`Writing ${outPath}...`);
-  writeFileSync(outPath, JSON.stringify(pairs));
+  // One pair per line, so build.js can skip sentences without parsing them;
+  // the content hash beside it lets incremental builds skip reading it at all
+  const json = `[\n${pairs.map((pair) => JSON.stringify(pair)).join(',\n')}\n]\n`;
+  writeFileSync(outPath, json);
+  writeFileSync(`${outPath}.sha1`, createHash('sha1').update(json).digest('hex') + '\n');
+  console.log(`  ${users.size} sentences with contributor usernames`);
   console.log('Tatoeba index built.\n');
+
+  // Tatoeba exports carry no version; the download date stands in for it
+  recordDataset('tatoeba', {
+    files: [jpnPath, engPath, ...Object.keys(langs).map((l) => sentencesPath(tatDir, l)), linksPath]
+      .map((p) => basename(p)),
+    downloaded: statSync(jpnPath).mtime.toISOString().slice(0, 10),
+    usernames: users.size > 0,
+  });
+}
+
+// ─────────────────────────────────────────────
+//  Pitch accents
+// ─────────────────────────────────────────────
+
+/**
+ * Kanjium-style accents.txt: `word<TAB>reading<TAB>patterns`, with an empty
+ * reading for kana words and comma-separated accent positions. Indexed by
+ * word + reading (see enrich/pitch.js) so homophones keep their own patterns.
+ */
+async function buildPitch() {
+  const accentsPath = join(DATA_DIR, 'accents.txt');
+  if (!existsSync(accentsPath)) {
+    console.log('Pitch accent data not found — skipping. Run: npm run jp:download\n');
+    return;
+  }
+
+  console.log('Parsing accents.txt...');
+  const pitch = {};
+  let lines = 0;
+  for await (const line of createInterface({ input: createReadStream(accentsPath) })) {
+    const [word, reading, column] = line.split('\t');
+    if (!word || !column) continue;
+    lines++;
+    const patterns = parsePatterns(column);
+    if (patterns.length === 0) continue;
+    const key = pitchKey(word, reading || word);
+    pitch[key] = [...new Set([...(pitch[key] ?? []), ...patterns])];
+  }
+
+  const outPath = join(INDEX_DIR, 'pitch.json');
+  writeFileSync(outPath, JSON.stringify(pitch));
+  console.log(`  ${Object.keys(pitch).length} word/reading pairs from ${lines} lines`);
+  console.log('Pitch index built.\n');
+
+  // accents.txt carries no version; the download date stands in for it
+  recordDataset('pitch', {
+    file: basename(accentsPath),
+    downloaded: statSync(accentsPath).mtime.toISOString().slice(0, 10),
+  });
+}
+
+// ─────────────────────────────────────────────
+//  KanjiVG stroke order
+// ─────────────────────────────────────────────
+
+// Stroke count mismatches listed individually; the rest are only counted
+const MAX_REPORTED_MISMATCHES = 20;
+
+/**
+ * One SVG per kanji from the KanjiVG release (data/japanese/kanjivg/kanji/),
+ * reduced to ordered stroke paths, types and number positions (see
+ * enrich/strokes.js). Every kanji's stroke count is checked against
+ * KANJIDIC2's stroke_count and disagreements are reported; the index keeps
+ * KanjiVG's strokes either way.
+ */
+async function buildStrokes() {
+  const svgDir = join(DATA_DIR, 'kanjivg', 'kanji');
+  if (!existsSync(svgDir)) {
+    console.log('KanjiVG data not found — skipping. Run: npm run jp:download\n');
+    return;
+  }
+
+  console.log('Parsing KanjiVG...');
+  const kanjidic2Path = join(INDEX_DIR, 'kanjidic2.json');
+  const kanjidic2 = existsSync(kanjidic2Path) ? JSON.parse(readFileSync(kanjidic2Path, 'utf-8')) : {};
+
+  const strokes = {};
+  const mismatches = [];
+  for (const file of readdirSync(svgDir).sort()) {
+    const ch = kanjiVGCharacter(file);
+    if (!ch) continue;
+    const record = parseKanjiVG(readFileSync(join(svgDir, file), 'utf-8'));
+    if (record.strokes.length === 0) continue;
+    strokes[ch] = record;
+
+    const expected = kanjidic2[ch]?.strokeCount;
+    if (expected && expected !== record.strokes.length) {
+      mismatches.push({ character: ch, kanjivg: record.strokes.length, kanjidic2: expected });
+    }
+  }
+
+  const outPath = join(INDEX_DIR, 'strokes.json');
+  writeJsonStream(outPath, strokes, 1);
+  writeShardedTable(join(INDEX_DIR, 'strokes'), strokes);
+  console.log(`  ${Object.keys(strokes).length} kanji (${memoryUsage()})`);
+
+  if (mismatches.length > 0) {
+    console.log(`  ${mismatches.length} stroke counts differ from KANJIDIC2:`);
+    for (const m of mismatches.slice(0, MAX_REPORTED_MISMATCHES)) {
+      console.log(`    ${m.character}  KanjiVG ${m.kanjivg}, KANJIDIC2 ${m.kanjidic2}`);
+    }
+    if (mismatches.length > MAX_REPORTED_MISMATCHES) {
+      console.log(`    (${mismatches.length - MAX_REPORTED_MISMATCHES} more)`);
+    }
+  }
+  console.log('Stroke order index built.\n');
+
+  // Release files carry no version; the download date stands in for it
+  recordDataset('kanjivg', {
+    file: 'kanjivg/kanji/',
+    downloaded: statSync(svgDir).mtime.toISOString().slice(0, 10),
+  });
+}
+
+// ─────────────────────────────────────────────
+//  KRADFILE / RADKFILE components
+// ─────────────────────────────────────────────
+
+function readEucJp(path) {
+  return new TextDecoder('euc-jp').decode(readFileSync(path));
+}
+
+/**
+ * Visual components of each kanji from KRADFILE (plus KRADFILE2 for JIS X
+ * 0212 kanji) and each component's stroke count from RADKFILE, into
+ * components.json (see enrich/radicals.js). Both files are EUC-JP.
+ */
+async function buildComponents() {
+  const kradDir = join(DATA_DIR, 'krad');
+  if (!existsSync(join(kradDir, 'kradfile'))) {
+    console.log('KRADFILE not found — skipping. Run: npm run jp:download\n');
+    return;
+  }
+
+  console.log('Parsing KRADFILE/RADKFILE...');
+  const kanji = {};
+  for (const file of ['kradfile', 'kradfile2']) {
+    if (existsSync(join(kradDir, file))) Object.assign(kanji, parseKradfile(readEucJp(join(kradDir, file))));
+  }
+  const components = {};
+  for (const file of ['radkfile', 'radkfile2']) {
+    if (existsSync(join(kradDir, file))) Object.assign(components, parseRadkfile(readEucJp(join(kradDir, file))));
+  }
+
+  writeFileSync(join(INDEX_DIR, 'components.json'), JSON.stringify({ components, kanji }));
+  writeShardedTable(join(INDEX_DIR, 'components'), kanji);
+  console.log(`  ${Object.keys(kanji).length} kanji, ${Object.keys(components).length} components`);
+  console.log('Component index built.\n');
+
+  recordDataset('kradfile', {
+    file: 'krad/kradfile',
+    downloaded: statSync(join(kradDir, 'kradfile')).mtime.toISOString().slice(0, 10),
+  });
 }
 
 // ─────────────────────────────────────────────
@@ -252,13 +705,23 @@ async function buildTatoeba() {
 // ─────────────────────────────────────────────
 
 async function main() {
+  for (const code of LOCALE_CODES) {
+    if (!LOCALES[code]) {
+      console.error(`Unknown locale "${code}". Known: ${Object.keys(LOCALES).join(', ')}`);
+      process.exit(1);
+    }
+  }
+
   ensureDir(INDEX_DIR);
 
-  buildJmdict();
-  buildKanjidic2();
+  await buildJmdict();
+  await buildKanjidic2();
   await buildTatoeba();
+  await buildPitch();
+  await buildStrokes();
+  await buildComponents();
 
-  console.log('All indices built.');
+  console.log(`All indices built. Peak rss ${Math.round(peakRss / MB)} MB.`);
 }
 
 main().catch((err) => {
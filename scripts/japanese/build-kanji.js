@@ -0,0 +1,328 @@
+/**
+ * Kanji pages, one per kanji used by the JLPT words.
+ *
+ * Reads the word pages build.js wrote (character/<locale>/), so every word
+ * appears with the reading, meaning and lessons its own page shows, and
+ * writes kanji/<locale>/<kanji>.json with:
+ *   - the kanji itself: meanings (localized the same way as the word pages'
+ *     kanji breakdown), readings, stroke count, grade, frequency, the
+ *     easiest JLPT level whose words use it, its classical radical and
+ *     components, and the KanjiVG stroke order
+ *   - the JLPT words using it, grouped by level and then by the reading the
+ *     kanji takes in each word (手 as て in 手紙, as しゅ in 歌手)
+ *   - the most frequent JMdict compounds that are not JLPT words
+ *   - a few example sentences, taken from the lessons of those words
+ *
+ * It also writes kanji/components.json, the reverse index for "find kanji by
+ * parts": every component (in RADKFILE order) with the page kanji built from
+ * it, easiest JLPT level first:
+ *
+ *   { [component]: { strokes, kanji: [{ character, jlpt }] } }
+ *
+ * Run it after build.js; every run rewrites all pages and removes pages of
+ * kanji no longer used.
+ */
+
+import { writeFileSync, existsSync, mkdirSync, readdirSync, unlinkSync } from 'node:fs';
+import { join, dirname, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { LOCALES, DEFAULT_LOCALES, PRIMARY_LOCALE } from './locales.js';
+import { openJmdict } from './jmdict-index.js';
+import { loadJSON, loadJlptWords, freqRank } from './shared.js';
+import { pickSpelling, pickReading } from './enrich/readings.js';
+import { senseKey, loadTranslations, resolveSense } from './enrich/translate.js';
+import { SCHEMA_VERSION, kanjiSchema, createValidator } from './schema.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..', '..');
+const INDICES_DIR = join(ROOT, 'indices', 'japanese');
+const COMPONENTS_PATH = join(ROOT, 'kanji', 'components.json');
+
+const LEVELS = ['N5', 'N4', 'N3', 'N2', 'N1'];
+const READING_TYPES = { onyomi: 0, kunyomi: 1 };
+
+// Off-list compounds and example sentences per kanji page
+const COMPOUNDS_PER_KANJI = 8;
+const EXAMPLES_PER_KANJI = 3;
+
+/**
+ * Current-format word pages of one locale, in list order (easiest level
+ * first), with the kanji each uses.
+ * @returns {{ pages: Array<{ jw: object, doc: object }>, stale: number }}
+ */
+function loadWordPages(locale, words) {
+  const pages = [];
+  let stale = 0;
+  for (const jw of words) {
+    const path = join(locale.outDir, `${jw.word}.json`);
+    if (!existsSync(path)) continue;
+    const doc = loadJSON(path);
+    if (doc.schemaVersion !== SCHEMA_VERSION) {
+      stale++;
+      continue;
+    }
+    pages.push({ jw, doc });
+  }
+  return { pages, stale };
+}
+
+/** Word summary as shown in a kanji page (the related-word shape). */
+function wordSummary(doc) {
+  const first = doc.definition.entries[0];
+  return {
+    word: doc.definition.word,
+    reading: doc.definition.reading,
+    meaning: first?.meanings.join(', ') ?? '',
+    ...(first?.needsReview && { needsReview: true }),
+  };
+}
+
+/**
+ * JLPT words using a kanji, by level, then by the reading the kanji takes.
+ * Readings shared by more words come first; words whose reading could not
+ * be aligned to the kanji (jukujikun such as 今日) come last.
+ */
+function groupWords(uses) {
+  const out = [];
+  for (const level of LEVELS) {
+    const groups = new Map();
+    for (const { doc, record } of uses.filter((u) => u.doc.definition.jlpt === level)) {
+      const key = record.reading ?? '';
+      if (!groups.has(key)) groups.set(key, { reading: record.reading, readingType: record.readingType, words: [] });
+      groups.get(key).words.push(wordSummary(doc));
+    }
+    if (groups.size === 0) continue;
+    const readings = [...groups.values()].sort(
+      (a, b) =>
+        (a.reading === null) - (b.reading === null) ||
+        b.words.length - a.words.length ||
+        (READING_TYPES[a.readingType] ?? 2) - (READING_TYPES[b.readingType] ?? 2)
+    );
+    out.push({ jlpt: level, readings });
+  }
+  return out;
+}
+
+/**
+ * The most frequent JMdict entries spelled with a kanji that are neither
+ * JLPT words nor the kanji on its own.
+ * @returns {object[]} JMdict entries
+ */
+function findCompounds(ch, jmdict, listed) {
+  const candidates = [];
+  for (const seq of jmdict.kanjiCharIndex[ch] ?? []) {
+    const entry = jmdict.entries[seq];
+    if (!entry || listed.seqs.has(String(seq))) continue;
+    const spelling = pickSpelling(entry);
+    if (spelling === ch || !spelling.includes(ch) || listed.words.has(spelling)) continue;
+    const rank = freqRank(entry.priority);
+    if (rank === null) continue;
+    candidates.push({ entry, spelling, rank });
+  }
+  return candidates
+    .sort((a, b) => a.rank - b.rank || [...a.spelling].length - [...b.spelling].length)
+    .slice(0, COMPOUNDS_PER_KANJI);
+}
+
+/**
+ * Meaning of a compound's first sense: the locale's translation memory, else
+ * the English glosses. Compounds are not JLPT words, so word lists and the
+ * machine-translation cache are not consulted.
+ */
+function compoundMeaning(locale, entry) {
+  const english = entry.senses[0]?.meanings ?? [];
+  const found = locale.translations && resolveSense(locale.translations, senseKey(entry.seq, 0), english);
+  return (found ? found.meanings : english).join(', ');
+}
+
+/**
+ * Example sentences for a kanji: the best-ranked lesson containing it from
+ * each word, easiest words first, without repeating a sentence.
+ */
+function pickExamples(ch, uses) {
+  const examples = [];
+  const sources = [];
+  const seen = new Set();
+  for (const { doc } of uses) {
+    const i = doc.lessons.findIndex((l) => l.japanese.includes(ch) && !seen.has(l.japanese));
+    if (i === -1) continue;
+    seen.add(doc.lessons[i].japanese);
+    examples.push({ ...doc.lessons[i], word: doc.definition.word });
+    sources.push(doc.sources.tatoeba[i]);
+    if (examples.length === EXAMPLES_PER_KANJI) break;
+  }
+  return { examples, sources };
+}
+
+/**
+ * Component → kanji reverse index over the kanji that got a page. Kanji are
+ * ordered by JLPT level, then KANJIDIC2 frequency, then stroke count.
+ */
+function componentIndex(pageKanji, strokesOf) {
+  const byComponent = new Map(Object.keys(strokesOf).map((c) => [c, []]));
+  for (const k of pageKanji.values()) {
+    for (const c of k.components) {
+      if (!byComponent.has(c)) byComponent.set(c, []);
+      byComponent.get(c).push(k);
+    }
+  }
+
+  const index = {};
+  for (const [c, kanji] of byComponent) {
+    if (kanji.length === 0) continue;
+    kanji.sort(
+      (a, b) =>
+        LEVELS.indexOf(a.jlpt) - LEVELS.indexOf(b.jlpt) ||
+        (a.frequency ?? Infinity) - (b.frequency ?? Infinity) ||
+        (a.strokeCount ?? 0) - (b.strokeCount ?? 0)
+    );
+    index[c] = {
+      strokes: strokesOf[c]?.strokes ?? null,
+      kanji: kanji.map(({ character, jlpt }) => ({ character, jlpt })),
+    };
+  }
+  return index;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const localesFlag = args.find((a) => a.startsWith('--locales='))?.split('=')[1];
+
+  if (args.includes('--help')) {
+    console.log('Usage:');
+    console.log('  node build-kanji.js                  # kanji pages for the default locales');
+    console.log('  node build-kanji.js --locales=en,es  # locales to build (their word pages must exist)');
+    process.exit(0);
+  }
+
+  if (!existsSync(join(INDICES_DIR, 'jmdict', 'manifest.json'))) {
+    console.error('Missing jmdict/manifest.json. Run: npm run jp:download:core && npm run jp:build-indices');
+    process.exit(1);
+  }
+
+  const localeCodes = localesFlag ? localesFlag.split(',') : DEFAULT_LOCALES;
+  const locales = localeCodes.map((code) => {
+    const def = LOCALES[code];
+    if (!def) {
+      console.error(`Unknown locale "${code}". Known: ${Object.keys(LOCALES).join(', ')}`);
+      process.exit(1);
+    }
+    return {
+      code,
+      ...def,
+      outDir: join(ROOT, def.outDir),
+      kanjiOutDir: join(ROOT, def.kanjiOutDir),
+      translations: def.translation ? loadTranslations({ memoryPath: join(ROOT, def.translation.memory) }) : null,
+    };
+  });
+
+  const jmdict = openJmdict(join(INDICES_DIR, 'jmdict'));
+  const seen = new Set();
+  const words = loadJlptWords(join(ROOT, LOCALES[PRIMARY_LOCALE].wordListDir)).filter(
+    (w) => !seen.has(w.word) && seen.add(w.word)
+  );
+
+  const componentsPath = join(INDICES_DIR, 'components.json');
+  const strokesOf = existsSync(componentsPath) ? loadJSON(componentsPath).components : {};
+
+  const validate = createValidator(kanjiSchema);
+  const compounds = new Map();
+  // character → its page's kanji record, for the component index
+  const pageKanji = new Map();
+  let failed = 0;
+
+  for (const locale of locales) {
+    const { pages, stale } = loadWordPages(locale, words);
+    if (stale > 0) console.log(`  ${locale.code}: ${stale} word pages from an older format skipped — rerun build.js.`);
+    if (pages.length === 0) {
+      console.error(`No word pages in ${relative(ROOT, locale.outDir)}. Run: npm run jp:words`);
+      process.exit(1);
+    }
+
+    // kanji → the pages using it, with the word's breakdown record for it
+    const byKanji = new Map();
+    for (const page of pages) {
+      for (const record of page.doc.kanji) {
+        if (!byKanji.has(record.character)) byKanji.set(record.character, []);
+        byKanji.get(record.character).push({ ...page, record });
+      }
+    }
+
+    // Words with a page, and the JMdict entries behind them, are not compounds
+    const listed = {
+      words: new Set([...words.map((w) => w.word), ...pages.map((p) => p.doc.definition.word)]),
+      seqs: new Set(pages.flatMap((p) => p.doc.sources.jmdict.entries)),
+    };
+
+    mkdirSync(locale.kanjiOutDir, { recursive: true });
+    const written = new Set();
+
+    for (const [ch, uses] of byKanji) {
+      if (!compounds.has(ch)) compounds.set(ch, findCompounds(ch, jmdict, listed));
+      const {
+        character, meanings, meaningSource, onyomi, kunyomi, strokeCount, grade, frequency, radical, components,
+        strokeOrder,
+      } = uses[0].record;
+      const { examples, sources } = pickExamples(ch, uses);
+
+      const doc = {
+        schemaVersion: SCHEMA_VERSION,
+        kanji: {
+          character, meanings, ...(meaningSource && { meaningSource }), onyomi, kunyomi, strokeCount, grade,
+          jlpt: LEVELS.find((level) => uses.some((u) => u.doc.definition.jlpt === level)),
+          frequency,
+          radical,
+          components,
+          strokeOrder,
+        },
+        words: groupWords(uses),
+        compounds: compounds.get(ch).map(({ entry, spelling }) => ({
+          word: spelling,
+          reading: pickReading(entry, spelling),
+          meaning: compoundMeaning(locale, entry),
+        })),
+        examples,
+        sources: {
+          jmdict: { compounds: compounds.get(ch).map(({ entry }) => String(entry.seq)) },
+          tatoeba: sources,
+        },
+      };
+
+      const violations = validate(locale.code, doc);
+      if (violations.length > 0) {
+        failed++;
+        console.log(`  ${locale.code} ${ch}: invalid document`);
+        for (const { path, message } of violations) console.log(`    ${path}: ${message}`);
+        continue;
+      }
+      writeFileSync(join(locale.kanjiOutDir, `${ch}.json`), JSON.stringify(doc, null, 2));
+      written.add(`${ch}.json`);
+      pageKanji.set(ch, doc.kanji);
+    }
+
+    let removed = 0;
+    for (const file of readdirSync(locale.kanjiOutDir)) {
+      if (file.endsWith('.json') && !written.has(file)) {
+        unlinkSync(join(locale.kanjiOutDir, file));
+        removed++;
+      }
+    }
+    console.log(
+      `${locale.code}: ${written.size} kanji pages from ${pages.length} word pages in ${relative(ROOT, locale.kanjiOutDir)}/` +
+        (removed > 0 ? ` (${removed} removed)` : '')
+    );
+  }
+
+  const index = componentIndex(pageKanji, strokesOf);
+  mkdirSync(dirname(COMPONENTS_PATH), { recursive: true });
+  writeFileSync(COMPONENTS_PATH, JSON.stringify(index, null, 2));
+  console.log(`${Object.keys(index).length} components in ${relative(ROOT, COMPONENTS_PATH)}`);
+
+  console.log(`\nDone (${jmdict.shardsLoaded()} JMdict shards read).`);
+  if (failed > 0) {
+    console.log(`${failed} kanji pages failed validation.`);
+    process.exitCode = 1;
+  }
+}
+
+main();
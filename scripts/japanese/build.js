@@ -1,45 +1,56 @@
 import 'dotenv/config';
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
-import { join, dirname } from 'node:path';
+import {
+  readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, statSync, unlinkSync, createReadStream,
+} from 'node:fs';
+import { freemem } from 'node:os';
+import { join, dirname, relative } from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { createInterface } from 'node:readline';
+import { Worker, isMainThread, parentPort, workerData } from 'node:worker_threads';
 import { toRomaji } from 'wanakana';
 
 // Enrichment modules
-import { loadPitchDict, lookupPitch } from './enrich/pitch.js';
+import { loadPitchDict, lookupPitch, hasPitchData } from './enrich/pitch.js';
+import { pitchGraphFile, renderPitchGraph } from './enrich/pitch-graph.js';
 import { extractIdioms } from './enrich/idioms.js';
 import { filterSenses, filterRelatedByJlpt, JLPT_RANK } from './enrich/filters.js';
+import { buildConjugations } from './enrich/conjugation.js';
+import { buildTags } from './enrich/tags.js';
+import { buildKanjiBreakdown } from './enrich/kanji.js';
+import { segmentSentence, annotateTokens, enclosingKanaWord } from './enrich/furigana.js';
+import { selectExamples, parseLessonCounts, LESSONS_PER_LEVEL } from './enrich/examples.js';
+import { MT_PROVIDERS, senseKey, loadTranslations, resolveSense, createProvider } from './enrich/translate.js';
+import { TTS_PROVIDERS, loadAudioStore, createTtsProvider } from './enrich/audio.js';
+import {
+  pickSpelling, pickReading, pickPair, hasReading, alternativeForms, normalizeListReading,
+} from './enrich/readings.js';
+import { LOCALES, DEFAULT_LOCALES, PRIMARY_LOCALE } from './locales.js';
+import { openJmdict } from './jmdict-index.js';
+import { openShardedTable } from './shards.js';
+import { loadJlptWords, freqRank, isKanji } from './shared.js';
+import { writeAttribution } from './attribution.js';
+import { writeSearchIndex } from './search-index.js';
+import { SCHEMA_VERSION, createValidator } from './schema.js';
+import {
+  createTracker, trackObject, trackMap, trackFunction, trackJmdict, trackShards, hashValue,
+  loadBuildManifest, saveBuildManifest, manifestEntry, isUpToDate,
+} from './build-cache.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT = join(__dirname, '..', '..');
 
 const INDICES_DIR = join(ROOT, 'indices', 'japanese');
-const JLPT_EN_DIR = join(ROOT, 'jlpt_files', 'en');
-const JLPT_ID_DIR = join(ROOT, 'jlpt_files', 'id');
-const OUT_EN = join(ROOT, 'character', 'en');
-const OUT_ID = join(ROOT, 'character', 'id');
+const MANIFEST_PATH = join(INDICES_DIR, 'build-manifest.json');
+const ATTRIBUTION_PATH = join(ROOT, 'ATTRIBUTION.json');
+const TRANSLATION_CACHE_DIR = join(ROOT, 'data', 'japanese', 'translation-cache');
+const AUDIO_DIR = join(ROOT, 'dist', 'audio');
+const PITCH_GRAPH_DIR = join(ROOT, 'dist', 'pitch');
+const SEARCH_INDEX_PATH = join(ROOT, 'dist', 'search', 'index.json');
 
-// ── helpers ──────────────────────────────────
-
-function loadJSON(p) {
-  return JSON.parse(readFileSync(p, 'utf-8'));
-}
+// Bump whenever generation logic changes, so cached words are rebuilt
+const PIPELINE_VERSION = 18;
 
-function isKanji(ch) {
-  const c = ch.codePointAt(0);
-  return (c >= 0x4e00 && c <= 0x9fff) || (c >= 0x3400 && c <= 0x4dbf);
-}
-
-function freqRank(priority) {
-  for (const t of priority) {
-    const m = t.match(/^nf(\d+)$/);
-    if (m) return (parseInt(m[1]) - 1) * 500 + 250;
-  }
-  if (priority.includes('ichi1')) return 5000;
-  if (priority.includes('ichi2')) return 10000;
-  if (priority.includes('news1')) return 12000;
-  if (priority.includes('news2')) return 20000;
-  return null;
-}
+// ── helpers ──────────────────────────────────
 
 /**
  * Analyze sentence complexity and assign proficiency level.
@@ -89,36 +100,76 @@ function analyzeSentenceLevel(sentence, kanjidic2) {
   return 'advanced';
 }
 
-// ── load JLPT word lists ─────────────────────
+// ── pre-build tatoeba examples index ─────────
 
-function loadJlptWords(dir) {
-  const words = [];
-  for (const n of [5, 4, 3, 2, 1]) {
-    const f = join(dir, `n${n}.json`);
-    if (!existsSync(f)) continue;
-    for (const entry of loadJSON(f)) {
-      words.push({ ...entry, jlpt: `N${n}` });
-    }
-  }
-  return words;
+const MAX_CANDIDATES = 60;
+
+// Suppletive forms (ある → ない) that are the negative auxiliary on their own,
+// so they would match the negation of every verb
+const AUXILIARY_FORMS = new Set(['ない', 'なかった', 'ないで', 'なくて', 'なければ']);
+
+/**
+ * Spellings of a target word to look for in sentences: the list word, the
+ * JMdict headword and every conjugated form, longest first.
+ */
+function exampleSurfaces(listWord, headword, conjugations) {
+  const forms = Object.values(conjugations?.forms ?? {})
+    .map((f) => f.word)
+    .filter((f) => !AUXILIARY_FORMS.has(f));
+  return [...new Set([listWord, headword, ...forms])]
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length);
 }
 
-// ── pre-build tatoeba examples index ─────────
+function commonPrefix(strings) {
+  let prefix = strings[0] ?? '';
+  for (const s of strings) {
+    while (!s.startsWith(prefix)) prefix = prefix.slice(0, -1);
+  }
+  return prefix;
+}
 
-function buildExamplesIndex(tatoeba, targetWords) {
+/**
+ * One pass over Tatoeba collecting candidate sentences per word: sentences
+ * containing any of the word's surfaces (see exampleSurfaces). Candidates are
+ * checked against JMdict segmentation later, in buildWord.
+ *
+ * tatoeba.json holds one pair per line (see build-indices.js) and is streamed;
+ * a line is only parsed once it contains a target's prefix, so a --word run
+ * parses just the sentences that can match.
+ *
+ * @param {AsyncIterable<string>} lines - Lines of tatoeba.json
+ * @param {Map<string, string[]>} targets - list word → surfaces
+ */
+async function buildExamplesIndex(lines, targets) {
   const index = new Map();
-  const remaining = new Set(targetWords);
+  const remaining = new Map();
+  for (const [word, surfaces] of targets) {
+    // Shared prefix (食べ for 食べる/食べた/…) as a cheap first check
+    const prefix = commonPrefix(surfaces) || surfaces[surfaces.length - 1];
+    remaining.set(word, { prefix, surfaces });
+  }
 
-  for (const pair of tatoeba) {
+  for await (const line of lines) {
     if (remaining.size === 0) break;
+    if (!line.startsWith('{')) continue;
 
+    let pair = null;
     const toRemove = [];
-    for (const w of remaining) {
-      if (pair.japanese.includes(w)) {
-        if (!index.has(w)) index.set(w, []);
-        index.get(w).push({ japanese: pair.japanese, english: pair.english });
-        if (index.get(w).length >= 15) toRemove.push(w);
-      }
+    for (const [w, { prefix, surfaces }] of remaining) {
+      if (!line.includes(prefix)) continue;
+      pair ??= JSON.parse(line.endsWith(',') ? line.slice(0, -1) : line);
+      if (!pair.japanese.includes(prefix)) continue;
+      if (!surfaces.some((s) => pair.japanese.includes(s))) continue;
+      if (!index.has(w)) index.set(w, []);
+      index.get(w).push({
+        japanese: pair.japanese,
+        english: pair.english,
+        ids: pair.ids,
+        users: pair.users ?? {},
+        translations: pair.translations ?? {},
+      });
+      if (index.get(w).length >= MAX_CANDIDATES) toRemove.push(w);
     }
     for (const w of toRemove) remaining.delete(w);
   }
@@ -126,11 +177,41 @@ function buildExamplesIndex(tatoeba, targetWords) {
   return index;
 }
 
+/**
+ * Find the target in a segmented sentence. Occurrences inside a longer
+ * dictionary word (手 in 上手 or 相手) are rejected: a JMdict token that
+ * overlaps the occurrence must lie entirely within it. Kana occurrences are
+ * also rejected when the kana around them spell a longer word (した in
+ * いました, いる in はいる), since the segmenter leaves kana untokenised.
+ *
+ * @returns {{ start: number, end: number, surface: string }|null} UTF-16 offsets
+ */
+function locateTarget(sentence, surfaces, tokens, jmdict) {
+  let best = null;
+  for (const surface of surfaces) {
+    const kana = ![...surface].some(isKanji);
+    for (let start = sentence.indexOf(surface); start !== -1; start = sentence.indexOf(surface, start + 1)) {
+      const end = start + surface.length;
+      const inCompound = tokens.some(
+        (t) => t.dictionary && t.start < end && t.end > start && (t.start < start || t.end > end)
+      );
+      if (inCompound) continue;
+      if (kana && enclosingKanaWord(sentence, start, end, jmdict)) continue;
+      if (!best || start < best.start || (start === best.start && end > best.end)) {
+        best = { start, end, surface };
+      }
+      break;
+    }
+  }
+  return best;
+}
+
+
 // ── score + filter related words ─────────────
 
 function scoreRelated(candidate, sourceWord, sourceJlpt, sourceFreq, sourcePosSet, jlptMap) {
   let score = 0;
-  const cWord = candidate.kanji[0] || candidate.readings[0];
+  const cWord = pickSpelling(candidate);
   const cFreq = freqRank(candidate.priority);
   const cJlpt = jlptMap.get(cWord) ?? null;
   const cPos = new Set(candidate.senses.flatMap((s) => s.pos));
@@ -157,7 +238,7 @@ function scoreRelated(candidate, sourceWord, sourceJlpt, sourceFreq, sourcePosSe
 }
 
 function isNoise(entry, kanjidic2) {
-  const w = entry.kanji[0] || entry.readings[0];
+  const w = pickSpelling(entry);
 
   const kanjiCount = [...w].filter(isKanji).length;
   if (kanjiCount >= 4) return true;
@@ -180,6 +261,81 @@ function isNoise(entry, kanjidic2) {
   return false;
 }
 
+// ── tag summary ──────────────────────────────
+
+function tallyTags(summary, jlpt, tags) {
+  if (!summary.has(jlpt)) summary.set(jlpt, { total: 0, counts: {} });
+  const level = summary.get(jlpt);
+  level.total++;
+  for (const [key, val] of Object.entries(tags)) {
+    if (val === false || val == null) continue;
+    const bucket = (level.counts[key] ??= {});
+    const label = val === true ? 'yes' : String(val);
+    bucket[label] = (bucket[label] ?? 0) + 1;
+  }
+}
+
+function printTagSummary(summary) {
+  console.log('\nTag summary:');
+  for (const jlpt of ['N5', 'N4', 'N3', 'N2', 'N1']) {
+    const level = summary.get(jlpt);
+    if (!level) continue;
+    console.log(`  ${jlpt} (${level.total} words)`);
+    for (const [key, bucket] of Object.entries(level.counts)) {
+      const parts = Object.entries(bucket)
+        .sort((a, b) => b[1] - a[1])
+        .map(([label, n]) => `${label}=${n}`);
+      console.log(`    ${key.padEnd(15)} ${parts.join(' ')}`);
+    }
+  }
+}
+
+const TRANSLATED_KINDS = ['senses', 'related', 'idioms'];
+
+/**
+ * Add one word's translation sources ({ [locale]: { [kind]: { [source]: n } } })
+ * to the per-locale, per-level summary.
+ */
+function tallyTranslation(summary, jlpt, translation = {}) {
+  for (const [code, kinds] of Object.entries(translation)) {
+    if (!summary.has(code)) summary.set(code, new Map());
+    const levels = summary.get(code);
+    if (!levels.has(jlpt)) levels.set(jlpt, {});
+    const level = levels.get(jlpt);
+    for (const [kind, sources] of Object.entries(kinds)) {
+      const bucket = (level[kind] ??= {});
+      for (const [source, n] of Object.entries(sources)) bucket[source] = (bucket[source] ?? 0) + n;
+    }
+  }
+}
+
+function printTranslationCoverage(summary) {
+  for (const [code, levels] of summary) {
+    console.log(`\nTranslation coverage (${code}): translated/total, machine-translated in brackets`);
+    console.log(`  ${'level'.padEnd(6)}${TRANSLATED_KINDS.map((k) => k.padEnd(26)).join('')}`);
+    for (const jlpt of ['N5', 'N4', 'N3', 'N2', 'N1']) {
+      const level = levels.get(jlpt);
+      if (!level) continue;
+      const cells = TRANSLATED_KINDS.map((kind) => {
+        const bucket = level[kind] ?? {};
+        const total = Object.values(bucket).reduce((a, b) => a + b, 0);
+        const translated = total - (bucket.english ?? 0);
+        if (total === 0) return '-'.padEnd(26);
+        const pct = Math.round((translated / total) * 100);
+        return `${translated}/${total} ${pct}% [${bucket.machine ?? 0}]`.padEnd(26);
+      });
+      console.log(`  ${jlpt.padEnd(6)}${cells.join('')}`);
+    }
+  }
+}
+
+/** Whether a manifest entry has senses that fell back to English. */
+function hasUntranslated(cached) {
+  return Object.values(cached?.translation ?? {}).some((kinds) =>
+    Object.values(kinds).some((sources) => (sources.english ?? 0) > 0)
+  );
+}
+
 // ── filter examples ──────────────────────────
 
 function filterExamples(rawExamples, sourceJlpt, kanjidic2) {
@@ -199,8 +355,693 @@ function filterExamples(rawExamples, sourceJlpt, kanjidic2) {
       }
 
       return true;
-    })
-    .slice(0, 20); // Up to 10 lessons
+    });
+}
+
+// ── locales ──────────────────────────────────
+
+function splitMeaning(meaning) {
+  return meaning.split(/,\s*/).map((m) => m.trim());
+}
+
+/**
+ * Resolve the enabled locales from the registry, loading word-list meanings
+ * for locales that take them from their JLPT lists and the translation
+ * memory (plus the `mt` provider's cache) for locales with a translation layer.
+ */
+function loadLocales(codes, mt) {
+  return codes.map((code) => {
+    const def = LOCALES[code];
+    if (!def) {
+      console.error(`Unknown locale "${code}". Known: ${Object.keys(LOCALES).join(', ')}`);
+      process.exit(1);
+    }
+    const wordList = new Map();
+    if (def.meanings === 'wordList') {
+      for (const w of loadJlptWords(join(ROOT, def.wordListDir))) wordList.set(w.word, w.meaning);
+      if (wordList.size === 0) console.log(`  ${code}: no word list in ${def.wordListDir} — meanings fall back to English.`);
+    }
+    const translations = def.translation
+      ? loadTranslations({
+          memoryPath: join(ROOT, def.translation.memory),
+          cachePath: mt ? join(TRANSLATION_CACHE_DIR, `${mt}.${code}.json`) : null,
+        })
+      : null;
+    return { code, ...def, outDir: join(ROOT, def.outDir), wordList, translations };
+  });
+}
+
+/**
+ * Meanings of sense `idx` of `entry` for a locale with a translation layer:
+ * the translation memory, then `listMeanings` (the word list's meaning, for
+ * senses it covers), then cached machine output, else English. Senses with
+ * no translation are added to `misses` for the machine-translation pass.
+ * @returns {{ meanings: string[], source: 'memory'|'wordList'|'machine'|'english' }}
+ */
+function translateSense(locale, entry, idx, listMeanings, misses) {
+  const english = entry.senses[idx].meanings;
+  const key = senseKey(entry.seq, idx);
+  const found = resolveSense(locale.translations, key, english);
+  if (found && !found.machine) return { meanings: found.meanings, source: 'memory' };
+  if (listMeanings) return { meanings: listMeanings, source: 'wordList' };
+  if (found) return { meanings: found.meanings, source: 'machine' };
+  misses.push({ key, word: pickSpelling(entry), reading: pickReading(entry, pickSpelling(entry)), source: english });
+  return { meanings: english, source: 'english' };
+}
+
+/**
+ * translateSense bound to one document, counting where each translation
+ * came from per kind (senses, related, idioms) in `coverage`.
+ */
+function senseTranslator(locale, coverage, misses) {
+  return (kind, entry, idx, listMeanings) => {
+    const t = translateSense(locale, entry, idx, listMeanings, misses);
+    const bucket = (coverage[kind] ??= {});
+    bucket[t.source] = (bucket[t.source] ?? 0) + 1;
+    return t;
+  };
+}
+
+/**
+ * Sense entries for one locale.
+ * With a translation layer (`translate` from senseTranslator) every sense is
+ * translated on its own; machine output is marked `needsReview`.
+ * JMdict's non-English senses are not aligned with the English ones and carry
+ * no POS or misc tags, so they get an empty `pos` and only the checks
+ * filterSenses can run on meanings alone (inappropriate meanings, the
+ * level's sense cap).
+ */
+function localizeEntries(locale, primary, filteredSenses, word, jlpt, translate) {
+  const entries = filteredSenses.map((s) => ({ pos: s.pos, meanings: s.meanings }));
+
+  if (translate) {
+    const meaning = locale.meanings === 'wordList' ? locale.wordList.get(word) : null;
+    const split = meaning ? splitMeaning(meaning) : null;
+    return filteredSenses.map((s, idx) => {
+      const t = translate('senses', primary, primary.senses.indexOf(s), idx === 0 ? split : null);
+      return { pos: s.pos, meanings: t.meanings, ...(t.source === 'machine' && { needsReview: true }) };
+    });
+  }
+
+  if (locale.meanings === 'wordList') {
+    const meaning = locale.wordList.get(word);
+    const split = meaning ? splitMeaning(meaning) : null;
+    return entries.map((e, idx) => ({
+      pos: e.pos,
+      meanings: split && idx === 0 ? split : e.meanings,
+    }));
+  }
+
+  const foreign = locale.glossLang !== 'eng' ? primary.glosses?.[locale.glossLang] : null;
+  if (foreign?.length) {
+    return filterSenses(foreign.map((meanings) => ({ pos: [], misc: [], meanings })), jlpt)
+      .map(({ meanings }) => ({ pos: [], meanings }));
+  }
+  return entries;
+}
+
+/**
+ * Single-line meaning (related words, idioms) for one locale, falling back to
+ * English. With a translation layer the entry's first sense is translated and
+ * counted under `kind`.
+ * @returns {{ meaning: string, needsReview?: true }}
+ */
+function localizeMeaning(locale, entry, word, fallback, translate, kind) {
+  if (translate && entry.senses.length > 0) {
+    const listMeaning = locale.meanings === 'wordList' ? locale.wordList.get(word) : null;
+    const t = translate(kind, entry, 0, listMeaning ? [listMeaning] : null);
+    return { meaning: t.meanings[0], ...(t.source === 'machine' && { needsReview: true }) };
+  }
+  if (locale.meanings === 'wordList') return { meaning: locale.wordList.get(word) ?? fallback };
+  if (locale.glossLang !== 'eng') return { meaning: entry.glosses?.[locale.glossLang]?.[0]?.[0] ?? fallback };
+  return { meaning: fallback };
+}
+
+const TRANSLATION_RANK = { tatoeba: 0, 'tatoeba-pivot': 1, 'english-fallback': 2 };
+
+/**
+ * Where a lesson's translation comes from: a direct jpn↔lang Tatoeba link,
+ * a sentence reached through the English translation, or plain English.
+ */
+function translationSource(ex, lang) {
+  const t = ex.translations[lang];
+  if (!t) return 'english-fallback';
+  return t.source === 'pivot' ? 'tatoeba-pivot' : 'tatoeba';
+}
+
+/**
+ * Whether a locale can show a sentence: it has a translation in the locale's
+ * example language, or an English one to fall back on. Sentences with direct
+ * links only have no English.
+ */
+function hasLessonTranslation(locale, ex) {
+  if (locale.exampleLang === 'eng') return Boolean(ex.english);
+  return Boolean(ex.translations[locale.exampleLang] || ex.english);
+}
+
+/**
+ * Lessons a locale can show, in order: genuine translations first (direct
+ * link, then English pivot), English fallback last.
+ */
+function orderExamples(locale, examples) {
+  if (locale.exampleLang === 'eng') return examples.filter((ex) => hasLessonTranslation(locale, ex));
+  const lang = locale.exampleLang;
+  return examples
+    .filter((ex) => hasLessonTranslation(locale, ex))
+    .sort((a, b) => TRANSLATION_RANK[translationSource(a, lang)] - TRANSLATION_RANK[translationSource(b, lang)]);
+}
+
+function localizeLessons(locale, examples) {
+  if (locale.exampleLang === 'eng') {
+    return orderExamples(locale, examples).map((ex) => ({
+      japanese: ex.japanese,
+      reading: ex.reading,
+      furigana: ex.furigana,
+      match: ex.match,
+      [locale.lessonField]: ex.english,
+      lessonInfo: { level: ex.level, readingResolved: ex.resolved },
+      ...(ex.audio && { audio: ex.audio }),
+    }));
+  }
+
+  const lang = locale.exampleLang;
+  return orderExamples(locale, examples).map((ex) => ({
+    japanese: ex.japanese,
+    reading: ex.reading,
+    furigana: ex.furigana,
+    match: ex.match,
+    [locale.lessonField]: ex.translations[lang]?.text ?? ex.english,
+    lessonInfo: {
+      level: ex.level,
+      readingResolved: ex.resolved,
+      translationSource: translationSource(ex, lang),
+    },
+    ...(ex.audio && { audio: ex.audio }),
+  }));
+}
+
+// ── sources ──────────────────────────────────
+
+function sentenceRef(id, user) {
+  return user ? { id, user } : { id };
+}
+
+/**
+ * Tatoeba sentences behind each lesson, in lesson order: the Japanese
+ * sentence plus every translation it was shown with (English, or the
+ * locale's language and, for pivoted translations, the English in between).
+ */
+function lessonSources(locale, examples) {
+  const lang = locale.exampleLang;
+  return orderExamples(locale, examples).map((ex) => {
+    const ref = { jpn: sentenceRef(ex.ids?.jpn ?? null, ex.users.jpn) };
+    const source = lang === 'eng' ? null : translationSource(ex, lang);
+    if (source !== 'tatoeba') ref.eng = sentenceRef(ex.ids?.eng ?? null, ex.users.eng);
+    if (source === 'tatoeba' || source === 'tatoeba-pivot') {
+      const t = ex.translations[lang];
+      ref[lang] = sentenceRef(t.id ?? null, t.user);
+    }
+    return ref;
+  });
+}
+
+// ── generate one word ────────────────────────
+
+/**
+ * The JMdict entry a JLPT word resolves to: by spelling, else by reading
+ * (most frequent entry first). Entries that have the list's reading are
+ * preferred (秋 あき, not 秋 とき).
+ * @returns {{ primary: object, seqs: string[] }|null}
+ */
+function findPrimary(jw, jmdict) {
+  let seqs = jmdict.wordLookup[jw.word];
+  if (!seqs?.length) seqs = jmdict.readingLookup[jw.word];
+  if (!seqs?.length) return null;
+
+  const listReading = normalizeListReading(jw.reading);
+  const withReading = listReading
+    ? seqs.filter((s) => jmdict.entries[s] && hasReading(jmdict.entries[s], listReading))
+    : [];
+  const candidates = withReading.length > 0 ? withReading : seqs;
+
+  let primarySeq = candidates[0];
+  if (!jmdict.wordLookup[jw.word] && candidates.length > 1) {
+    primarySeq = [...candidates].sort((a, b) => {
+      const fa = freqRank(jmdict.entries[a]?.priority ?? []) ?? 99999;
+      const fb = freqRank(jmdict.entries[b]?.priority ?? []) ?? 99999;
+      return fa - fb;
+    })[0];
+  }
+
+  const primary = jmdict.entries[primarySeq];
+  return primary ? { primary, seqs } : null;
+}
+
+/**
+ * Displayed spelling and reading of a JLPT word: the list's own spelling and
+ * reading when they belong together, the list reading with the spelling it
+ * belongs to when they don't, else the entry's best regular pair.
+ */
+function headword(jw, primary) {
+  const { word: w, reading } = pickPair(primary, jw.word, normalizeListReading(jw.reading));
+  return { w, r: reading || jw.reading };
+}
+
+/**
+ * Surfaces to search Tatoeba for, computed the same way buildWord does.
+ */
+function targetSurfaces(jw, jmdict) {
+  const found = findPrimary(jw, jmdict);
+  if (!found) return [jw.word];
+  const { primary } = found;
+  const { w, r } = headword(jw, primary);
+  const pos = filterSenses(primary.senses, jw.jlpt).flatMap((s) => s.pos);
+  return exampleSurfaces(jw.word, w, buildConjugations(w, r, pos));
+}
+
+/**
+ * Whether every locale's output file is still exactly what the cached build
+ * wrote (guards against hand edits and checkouts of older outputs), and the
+ * word's pitch graphs are still there.
+ */
+function outputsMatch(cached, locales, word) {
+  if (!cached?.outputs) return false;
+  const filesMatch = locales.every((l) => {
+    const path = join(l.outDir, `${word}.json`);
+    return existsSync(path) && hashValue(readFileSync(path, 'utf-8')) === cached.outputs[l.code];
+  });
+  return filesMatch && (cached.graphs ?? []).every((file) => existsSync(join(PITCH_GRAPH_DIR, file)));
+}
+
+/**
+ * Generate the documents for one JLPT word.
+ *
+ * Every input is read through `ctx`, so build.js can hand in tracked views
+ * and record exactly what a word depended on.
+ *
+ * @param {object} jw - JLPT row ({ word, reading, meaning, jlpt })
+ * @param {object} ctx - { jmdict, expressions, kanjidic2, strokes, components, jlptMap, listReadings, locales, exIdx, lookupPitch, audio, lessons }
+ * @returns {{ tags: object, docs: Array<[object, object]>, translation: object, untranslated: object }|null}
+ *   null when the word is skipped; `translation` counts translation sources per
+ *   locale, `untranslated` lists the senses no store could translate and
+ *   `audioMissing` the clips not synthesised yet; `graphs` are the pitch SVGs to write
+ */
+function buildWord(jw, ctx) {
+  const {
+    jmdict, expressions, kanjidic2, strokes, components, jlptMap, listReadings, locales, exIdx, lookupPitch, audio, lessons,
+  } = ctx;
+
+  // Clip path for a text, when a TTS provider is enabled; missing clips are collected
+  const audioMissing = [];
+  const clip = (text) => {
+    if (!audio || !text) return null;
+    const key = audio.keyOf(text);
+    const file = audio.get(key);
+    if (!file) audioMissing.push({ key, text });
+    return file ?? null;
+  };
+
+  // ── step 1: JMdict lookup ──
+  const found = findPrimary(jw, jmdict);
+  if (!found) return null;
+  const { primary, seqs } = found;
+  const matched = new Set(seqs);
+
+  const { w, r } = headword(jw, primary);
+  const sourceFreq = freqRank(primary.priority);
+
+  const alternatives = alternativeForms(primary, w, r);
+
+  // ── step 2: filter senses ──
+  const filteredSenses = filterSenses(primary.senses, jw.jlpt);
+  if (filteredSenses.length === 0) return null;
+
+  // ── step 3: pitch accent ──
+  const allPos = filteredSenses.flatMap((s) => s.pos);
+  const accent = lookupPitch(w, r);
+  // One SVG graph per accepted pattern (enrich/pitch-graph.js), shared by words with the same reading and accent
+  const graphs = (accent?.patterns ?? []).map((p) => ({
+    file: pitchGraphFile(accent.morae, p.pattern),
+    svg: renderPitchGraph(accent.morae, p),
+  }));
+  const pitch = accent && {
+    morae: accent.morae,
+    patterns: accent.patterns.map((p, i) => ({ ...p, graph: `pitch/${graphs[i].file}` })),
+  };
+
+  // ── step 3b: conjugations (verbs + adjectives) ──
+  const conjugations = buildConjugations(w, r, allPos);
+
+  // ── step 3c: learning tags ──
+  const kanjiInfo = [...w].filter(isKanji).map((ch) => kanjidic2[ch]).filter(Boolean);
+  const tags = buildTags(allPos, jw.jlpt, kanjiInfo, filteredSenses);
+
+  // ── step 4: related words ──
+  const sourcePosSet = new Set(allPos);
+  const isInterjection = allPos.some((p) => p.toLowerCase().includes('interjection'));
+
+  let related = [];
+
+  if (!isInterjection) {
+    const relSeqs = new Set();
+    for (const ch of w) {
+      if (isKanji(ch) && jmdict.kanjiCharIndex[ch]) {
+        for (const s of jmdict.kanjiCharIndex[ch]) {
+          if (!matched.has(s)) relSeqs.add(s);
+        }
+      }
+    }
+
+    const scored = [...relSeqs]
+      .map((s) => jmdict.entries[s])
+      .filter((e) => e?.priority.length > 0 && !isNoise(e, kanjidic2))
+      .map((e) => ({
+        entry: e,
+        score: scoreRelated(e, w, jw.jlpt, sourceFreq, sourcePosSet, jlptMap),
+      }))
+      .filter(({ score }) => score > 0)
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          (freqRank(a.entry.priority) ?? 99999) - (freqRank(b.entry.priority) ?? 99999)
+      );
+
+    // One item per spelling; when entries share one (下手 へた / したて), the list reading's wins
+    const bySpelling = new Map();
+    for (const { entry: e } of scored) {
+      const word = pickSpelling(e);
+      const listReading = listReadings.get(word);
+      const prev = bySpelling.get(word);
+      if (prev && !(listReading && hasReading(e, listReading) && !hasReading(prev.entry, listReading))) continue;
+      bySpelling.set(word, {
+        word,
+        reading: pickReading(e, word, listReading),
+        meaning: e.senses[0]?.meanings[0] ?? '',
+        entry: e,
+      });
+    }
+    related = [...bySpelling.values()].slice(0, 20);
+
+    related = filterRelatedByJlpt(related, jw.jlpt, jlptMap);
+    related = related.slice(0, 20);
+  }
+
+  // ── step 5: extract idioms ──
+  const idioms = extractIdioms(w, r, jmdict, expressions, sourceFreq, matched);
+  const idiomSeqs = idioms.map(({ seq }) => seq);
+
+  // ── step 6: lessons ──
+  // Candidates contain a surface form; keep those where it is a word of its own
+  const surfaces = exampleSurfaces(jw.word, w, conjugations);
+  const matchedExamples = [];
+  for (const ex of filterExamples(exIdx?.get(jw.word) ?? [], jw.jlpt, kanjidic2)) {
+    const tokens = segmentSentence(ex.japanese, jmdict);
+    const match = locateTarget(ex.japanese, surfaces, tokens, jmdict);
+    if (match) matchedExamples.push({ ...ex, tokens, match });
+  }
+  // Picked per example language among the sentences it can show, so pairs
+  // without English don't take the English lessons' places
+  const annotated = new Map();
+  const annotate = (candidate) => {
+    if (!annotated.has(candidate)) {
+      const { tokens, ...ex } = candidate;
+      annotated.set(candidate, {
+        ...ex,
+        ...annotateTokens(tokens),
+        level: analyzeSentenceLevel(ex.japanese, kanjidic2),
+        audio: clip(ex.japanese),
+      });
+    }
+    return annotated.get(candidate);
+  };
+  const examplesByLang = new Map();
+  for (const locale of locales) {
+    if (examplesByLang.has(locale.exampleLang)) continue;
+    const shown = matchedExamples.filter((ex) => hasLessonTranslation(locale, ex));
+    examplesByLang.set(locale.exampleLang, selectExamples(shown, jw.jlpt, jlptMap, lessons).map(annotate));
+  }
+
+  // Headword and idioms are spoken from their kana reading, so the voice can't misread the kanji
+  const headwordAudio = clip(r);
+  const idiomAudio = idioms.map((idiom) => clip(idiom.reading));
+
+  // ── step 7: one document per locale ──
+  const translation = {};
+  const untranslated = {};
+  const docs = locales.map((locale) => {
+    const examples = examplesByLang.get(locale.exampleLang);
+    let translate = null;
+    if (locale.translations) {
+      translation[locale.code] = {};
+      untranslated[locale.code] = [];
+      translate = senseTranslator(locale, translation[locale.code], untranslated[locale.code]);
+    }
+
+    const doc = {
+      schemaVersion: SCHEMA_VERSION,
+      definition: {
+        word: w,
+        reading: r,
+        romaji: toRomaji(r),
+        jlpt: jw.jlpt,
+        frequency: sourceFreq,
+        entries: localizeEntries(locale, primary, filteredSenses, jw.word, jw.jlpt, translate),
+        alternatives,
+        ...(headwordAudio && { audio: headwordAudio }),
+      },
+      tags,
+      kanji: buildKanjiBreakdown(w, r, kanjidic2, locale.code, { strokes, components }),
+      ...(conjugations && { conjugations }),
+      ...(pitch && { pitch }),
+      related: related.map(({ entry, ...rel }) => ({
+        ...rel,
+        ...localizeMeaning(locale, entry, rel.word, rel.meaning, translate, 'related'),
+      })),
+      idioms: idioms.map(({ seq, ...idiom }, i) => ({
+        ...idiom,
+        ...localizeMeaning(locale, jmdict.entries[seq], idiom.word, idiom.meaning, translate, 'idioms'),
+        ...(idiomAudio[i] && { audio: idiomAudio[i] }),
+      })),
+      lessons: localizeLessons(locale, examples),
+      sources: {
+        jmdict: {
+          entries: [primary.seq, ...seqs.filter((s) => s !== primary.seq)],
+          related: related.map(({ entry }) => entry.seq),
+          idioms: idiomSeqs,
+        },
+        tatoeba: lessonSources(locale, examples),
+        pitch: accent?.source ?? null,
+      },
+    };
+
+    return [locale, doc];
+  });
+
+  return { tags, docs, translation, untranslated, audioMissing, graphs };
+
+}
+
+// ── incremental + parallel runner ────────────
+
+/**
+ * Load everything buildWord reads, except Tatoeba. Used by the main thread
+ * and by each worker. JMdict, KANJIDIC2, strokes, components and the
+ * expression n-grams are sharded tables read lazily from the shared files,
+ * so a word only loads the shards it looks up.
+ */
+function loadContext(localeCodes, { quiet = false, mt = null, tts = null, lessons = LESSONS_PER_LEVEL } = {}) {
+  const jmdict = openJmdict(join(INDICES_DIR, 'jmdict'));
+  const expressions = openShardedTable(join(INDICES_DIR, 'expressions'));
+  const kanjidic2 = openShardedTable(join(INDICES_DIR, 'kanjidic2'));
+  loadPitchDict(INDICES_DIR, { quiet });
+
+  // KanjiVG is optional: without it every strokeOrder is null
+  const strokes = openShardedTable(join(INDICES_DIR, 'strokes'));
+  if (!quiet) {
+    console.log(
+      strokes.manifest
+        ? `  Stroke order: ${strokes.manifest.count} kanji.`
+        : '  Stroke order index not found — strokeOrder will be null.'
+    );
+  }
+
+  // KRADFILE is optional too: without it every components list is empty
+  const components = openShardedTable(join(INDICES_DIR, 'components'));
+  if (!quiet && !components.manifest) {
+    console.log('  Component index not found — components will be empty.');
+  }
+
+  const primaryWords = loadJlptWords(join(ROOT, LOCALES[PRIMARY_LOCALE].wordListDir));
+  const locales = loadLocales(localeCodes, mt);
+
+  const jlptMap = new Map();
+  const listReadings = new Map();
+  for (const w of primaryWords) {
+    if (!jlptMap.has(w.word)) jlptMap.set(w.word, w.jlpt);
+    if (!listReadings.has(w.word) && w.reading) listReadings.set(w.word, normalizeListReading(w.reading));
+  }
+
+  return {
+    jmdict, expressions, kanjidic2, strokes, components, primaryWords, locales, jlptMap, listReadings,
+    audio: tts ? loadAudioStore(AUDIO_DIR, createTtsProvider(tts)) : null,
+    validate: createValidator(),
+    lessons,
+  };
+}
+
+/**
+ * Generate one word with tracked inputs and write its outputs.
+ * `examples` is the word's Tatoeba pool and its hash (see examplesHash in
+ * main), or null without Tatoeba.
+ * @returns {{ word: string, status: 'ok'|'skip'|'error', entry?: object, error?: string }}
+ */
+function processWord(jw, context, examples) {
+  const { jmdict, expressions, kanjidic2, strokes, components, locales, jlptMap, listReadings } = context;
+  try {
+    const tracker = createTracker();
+    tracker.record('row', jw.word, jw);
+    if (examples) tracker.recordHash('examples', jw.word, examples.hash);
+    const result = buildWord(jw, {
+      jmdict: trackJmdict(jmdict, tracker),
+      expressions: { grams: trackShards(expressions, 'expressionGrams', tracker) },
+      kanjidic2: trackShards(kanjidic2, 'kanji', tracker),
+      strokes: trackShards(strokes, 'strokes', tracker),
+      components: trackShards(components, 'components', tracker),
+      jlptMap: trackMap(jlptMap, 'jlpt', tracker),
+      listReadings: trackMap(listReadings, 'listReading', tracker),
+      locales: locales.map((l) => ({
+        ...l,
+        wordList: trackMap(l.wordList, 'meanings', tracker, `${l.code}:`),
+        translations: l.translations && trackMap(l.translations, 'translations', tracker, `${l.code}:`),
+      })),
+      exIdx: new Map(examples ? [[jw.word, examples.pool]] : []),
+      lookupPitch: trackFunction(lookupPitch, 'pitch', tracker),
+      audio: context.audio && { keyOf: context.audio.keyOf, get: trackFunction(context.audio.get, 'audio', tracker) },
+      lessons: trackObject(context.lessons, 'lessons', tracker),
+    });
+    if (!result) return { word: jw.word, status: 'skip' };
+
+    // Nothing is written unless every locale's document matches its schema
+    const violations = result.docs.flatMap(([locale, doc]) =>
+      context.validate(locale.code, doc).map(({ path, message }) => `${locale.code} ${path}: ${message}`)
+    );
+    if (violations.length > 0) {
+      return { word: jw.word, status: 'error', error: `invalid document\n    ${violations.join('\n    ')}` };
+    }
+
+    for (const { file, svg } of result.graphs) writeFileSync(join(PITCH_GRAPH_DIR, file), svg);
+
+    const outputs = {};
+    for (const [locale, doc] of result.docs) {
+      const json = JSON.stringify(doc, null, 2);
+      writeFileSync(join(locale.outDir, `${jw.word}.json`), json);
+      outputs[locale.code] = hashValue(json);
+    }
+    const entry = {
+      ...manifestEntry(tracker, PIPELINE_VERSION, locales.map((l) => l.code)),
+      outputs,
+      graphs: result.graphs.map(({ file }) => file),
+      tags: result.tags,
+      translation: result.translation,
+      audioMissing: result.audioMissing.length,
+    };
+    return {
+      word: jw.word, status: 'ok', entry, untranslated: result.untranslated, audioMissing: result.audioMissing,
+    };
+  } catch (err) {
+    return { word: jw.word, status: 'error', error: err?.stack ?? String(err) };
+  }
+}
+
+const BATCH_SIZE = 20;
+
+// Every worker parses its own copy of the index shards it reads, and a long
+// run ends up reading nearly all of them. Parsed JSON takes roughly three
+// times its size on disk, on top of a fresh isolate.
+const WORKER_BASE_BYTES = 64 * 2 ** 20;
+const PARSED_JSON_FACTOR = 3;
+const WORKER_INDICES = ['jmdict', 'expressions', 'kanjidic2', 'strokes', 'components', 'pitch.json'];
+
+function diskBytes(path) {
+  if (!existsSync(path)) return 0;
+  const stat = statSync(path);
+  if (!stat.isDirectory()) return stat.size;
+  return readdirSync(path).reduce((sum, name) => sum + diskBytes(join(path, name)), 0);
+}
+
+/**
+ * Upper estimate of one worker's memory: a fresh isolate plus every index
+ * shard it may load, parsed.
+ */
+function workerMemoryEstimate() {
+  const indexBytes = WORKER_INDICES.reduce((sum, f) => sum + diskBytes(join(INDICES_DIR, f)), 0);
+  return WORKER_BASE_BYTES + PARSED_JSON_FACTOR * indexBytes;
+}
+
+/**
+ * Build `pending` words across `jobs` worker threads. Workers pull batches
+ * from a shared queue so slow words (many idiom candidates) don't stall a
+ * whole partition. Each worker writes its own output files. If a worker
+ * crashes the others are terminated and the promise rejects.
+ */
+function runWorkers(pending, jobs, localeCodes, options, examplesOf, onResult) {
+  return new Promise((resolve, reject) => {
+    let next = 0;
+    let running = 0;
+    let failed = false;
+    const workers = [];
+
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      for (const w of workers) w.terminate();
+      reject(err);
+    };
+
+    const sendBatch = (worker) => {
+      if (next >= pending.length) {
+        worker.postMessage(null);
+        return;
+      }
+      const batch = pending.slice(next, next + BATCH_SIZE);
+      next += batch.length;
+      worker.postMessage(batch.map((jw) => ({ jw, examples: examplesOf(jw) })));
+    };
+
+    for (let id = 1; id <= Math.min(jobs, Math.ceil(pending.length / BATCH_SIZE)); id++) {
+      const worker = new Worker(new URL(import.meta.url), { workerData: { id, localeCodes, ...options } });
+      workers.push(worker);
+      running++;
+      worker.on('message', (msg) => {
+        if (msg.type === 'ready' || msg.type === 'batchDone') sendBatch(worker);
+        else if (msg.type === 'result') onResult(msg.result, id);
+      });
+      worker.on('error', (err) => fail(new Error(`Worker ${id} failed: ${err?.stack ?? err}`)));
+      worker.on('exit', (code) => {
+        if (failed) return;
+        if (code !== 0) return fail(new Error(`Worker ${id} exited with code ${code}`));
+        if (--running === 0) resolve();
+      });
+    }
+    if (running === 0) resolve();
+  });
+}
+
+function workerMain() {
+  const { localeCodes, mt, tts, lessons } = workerData;
+  const context = loadContext(localeCodes, { quiet: true, mt, tts, lessons });
+
+  parentPort.on('message', (batch) => {
+    if (batch === null) {
+      parentPort.close();
+      return;
+    }
+    for (const { jw, examples } of batch) {
+      parentPort.postMessage({ type: 'result', result: processWord(jw, context, examples) });
+    }
+    parentPort.postMessage({ type: 'batchDone' });
+  });
+  parentPort.postMessage({ type: 'ready' });
 }
 
 // ── main ─────────────────────────────────────
@@ -209,47 +1050,124 @@ async function main() {
   const args = process.argv.slice(2);
   const levelFlag = args.find((a) => a.startsWith('--level='))?.split('=')[1]?.toUpperCase();
   const wordFlag = args.find((a) => a.startsWith('--word='))?.split('=')[1];
+  const localesFlag = args.find((a) => a.startsWith('--locales='))?.split('=')[1];
+  const jobsFlag = args.find((a) => a.startsWith('--jobs='))?.split('=')[1];
+  const mtFlag = args.find((a) => a.startsWith('--mt='))?.split('=')[1];
+  const ttsFlag = args.find((a) => a.startsWith('--tts='))?.split('=')[1];
+  const lessonsFlag = args.find((a) => a.startsWith('--lessons='))?.split('=')[1];
+  const force = args.includes('--force');
+  const prune = args.includes('--prune');
 
   if (args.includes('--help')) {
     console.log('Usage:');
     console.log('  node build.js                   # all JLPT words');
     console.log('  node build.js --level=N5         # one level');
     console.log('  node build.js --word=食べる      # one word');
+    console.log('  node build.js --locales=en,es    # locales to build (default: en,id)');
+    console.log('  node build.js --force            # regenerate even if inputs are unchanged');
+    console.log('  node build.js --prune            # also delete output files of words not in the lists');
+    console.log('  node build.js --jobs=8           # generate in 8 worker threads (capped by free memory)');
+    console.log('  node build.js --mt=openai        # machine-translate senses missing from the translation memory');
+    console.log(`                                   # (${MT_PROVIDERS.join(', ')} or off; default: $MT_PROVIDER or off)`);
+    console.log('  node build.js --tts=openai       # synthesise headword, lesson and idiom audio into dist/audio/');
+    console.log(`                                   # (${TTS_PROVIDERS.join(', ')} or off; default: $TTS_PROVIDER or off)`);
+    console.log('  node build.js --lessons=N5:3,N1:10 # lessons per word for those levels');
+    console.log(`                                   # (default: ${Object.entries(LESSONS_PER_LEVEL).map(([l, { count }]) => `${l}:${count}`).join(',')})`);
     process.exit(0);
   }
 
+  let jobs = jobsFlag ? Number(jobsFlag) : 1;
+  if (!Number.isInteger(jobs) || jobs < 1) {
+    console.error(`Invalid --jobs=${jobsFlag}: expected a positive integer.`);
+    process.exit(1);
+  }
+
+  const mtName = mtFlag ?? process.env.MT_PROVIDER ?? 'off';
+  if (mtName !== 'off' && !MT_PROVIDERS.includes(mtName)) {
+    console.error(`Unknown translation provider "${mtName}". Known: ${MT_PROVIDERS.join(', ')}, off`);
+    process.exit(1);
+  }
+  const mt = mtName === 'off' ? null : mtName;
+
+  const ttsName = ttsFlag ?? process.env.TTS_PROVIDER ?? 'off';
+  if (ttsName !== 'off' && !TTS_PROVIDERS.includes(ttsName)) {
+    console.error(`Unknown TTS provider "${ttsName}". Known: ${TTS_PROVIDERS.join(', ')}, off`);
+    process.exit(1);
+  }
+  const tts = ttsName === 'off' ? null : ttsName;
+
+  let lessons = LESSONS_PER_LEVEL;
+  try {
+    if (lessonsFlag) lessons = parseLessonCounts(lessonsFlag);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
   // ── load indices ──
-  for (const f of ['jmdict.json', 'kanjidic2.json']) {
+  for (const f of ['jmdict/manifest.json', 'expressions/manifest.json', 'kanjidic2/manifest.json']) {
     if (!existsSync(join(INDICES_DIR, f))) {
       console.error(`Missing ${f}. Run: npm run jp:download:core && npm run jp:build-indices`);
       process.exit(1);
     }
   }
 
-  console.log('Loading indices...');
-  const jmdict = loadJSON(join(INDICES_DIR, 'jmdict.json'));
-  const kanjidic2 = loadJSON(join(INDICES_DIR, 'kanjidic2.json'));
-
-  // ── load pitch data ──
-  console.log('Loading pitch data...');
-  loadPitchDict(join(ROOT, 'data', 'japanese'));
-
-  // ── load JLPT word lists ──
-  console.log('Loading JLPT words...');
-  const enWords = loadJlptWords(JLPT_EN_DIR);
-  const idWords = loadJlptWords(JLPT_ID_DIR);
-
-  const idMeaningMap = new Map();
-  for (const w of idWords) idMeaningMap.set(w.word, w.meaning);
+  // Workers don't share the indices, so don't start more than fit in memory
+  if (jobs > 1) {
+    const perWorker = workerMemoryEstimate();
+    const maxJobs = Math.max(1, Math.floor(freemem() / perWorker));
+    if (jobs > maxJobs) {
+      const mb = (bytes) => Math.round(bytes / 2 ** 20);
+      console.log(
+        `--jobs=${jobs} capped to ${maxJobs}: each worker may use up to ${mb(perWorker)} MB ` +
+          `and ${mb(freemem())} MB are free.`
+      );
+      jobs = maxJobs;
+    }
+  }
 
-  const jlptMap = new Map();
-  for (const w of enWords) {
-    if (!jlptMap.has(w.word)) jlptMap.set(w.word, w.jlpt);
+  console.log('Loading indices, pitch data and JLPT words...');
+  const localeCodes = localesFlag ? localesFlag.split(',') : DEFAULT_LOCALES;
+  let context;
+  try {
+    context = loadContext(localeCodes, { mt, tts, lessons });
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  const {
+    jmdict, expressions, kanjidic2, strokes, components, primaryWords, locales, jlptMap, listReadings,
+  } = context;
+  console.log(`  Locales: ${localeCodes.join(', ')}`);
+  if (tts) console.log(`  Audio: ${tts}, clips in dist/audio/`);
+
+  // Machine-translation provider per locale with a translation layer
+  const providers = new Map();
+  for (const locale of locales) {
+    if (!locale.translations) continue;
+    console.log(`  ${locale.code}: ${locale.translations.memorySize} senses in the translation memory, machine translation ${mt ?? 'off'}.`);
+    const stale = locale.translations.staleMemory((key) => {
+      const [seq, idx] = key.split('#');
+      return jmdict.entries[seq]?.senses[idx]?.meanings ?? null;
+    });
+    if (stale.length > 0) {
+      console.log(
+        `  ${locale.code}: ${stale.length} translation-memory entries no longer match their JMdict sense and are ignored ` +
+          `(review them): ${stale.slice(0, 10).join(', ')}${stale.length > 10 ? ', …' : ''}`
+      );
+    }
+    if (!mt) continue;
+    try {
+      providers.set(locale.code, createProvider(mt, locale.translation.language));
+    } catch (err) {
+      console.error(err.message);
+      process.exit(1);
+    }
   }
 
   // deduplicate + filter
   const seen = new Set();
-  let words = enWords.filter((w) => {
+  let words = primaryWords.filter((w) => {
     if (seen.has(w.word)) return false;
     seen.add(w.word);
     return true;
@@ -260,187 +1178,286 @@ async function main() {
 
   console.log(`${words.length} words to process.`);
 
-  // ── tatoeba (optional) ──
-  let exIdx = null;
+  // ── tatoeba (optional): read later, for the words that need rebuilding ──
   const tatPath = join(INDICES_DIR, 'tatoeba.json');
+  let tatoebaHash = null;
   if (existsSync(tatPath)) {
-    console.log('Building examples index from Tatoeba (one pass)...');
-    const tatoeba = loadJSON(tatPath);
-    exIdx = buildExamplesIndex(
-      tatoeba,
-      words.map((w) => w.word)
+    if (!existsSync(`${tatPath}.sha1`)) {
+      console.error('tatoeba.json is in an older format. Run: npm run jp:build-indices');
+      process.exit(1);
+    }
+    tatoebaHash = readFileSync(`${tatPath}.sha1`, 'utf-8').trim();
+  }
+  // A word's example pool is fixed by the Tatoeba index and its surfaces
+  const surfacesByWord = new Map();
+  const surfacesOf = (jw) => {
+    if (!surfacesByWord.has(jw.word)) surfacesByWord.set(jw.word, targetSurfaces(jw, jmdict));
+    return surfacesByWord.get(jw.word);
+  };
+  const examplesHash = (jw) => hashValue([tatoebaHash, surfacesOf(jw)]);
+
+  // ── remove outputs of words no longer in the lists ──
+  // Only words the manifest built are removed; --prune also removes any
+  // other file whose name is not a listed word.
+  const listed = new Set(primaryWords.map((w) => w.word));
+  const manifest = loadBuildManifest(MANIFEST_PATH);
+  let removed = 0;
+  const removeOutput = (path) => {
+    if (!existsSync(path)) return;
+    unlinkSync(path);
+    removed++;
+    console.log(`  Removed ${relative(ROOT, path)}`);
+  };
+  const unusedGraphs = new Set();
+  for (const [word, cached] of Object.entries(manifest.words)) {
+    if (listed.has(word)) continue;
+    for (const code of Object.keys(cached.outputs ?? {})) {
+      if (LOCALES[code]) removeOutput(join(ROOT, LOCALES[code].outDir, `${word}.json`));
+    }
+    for (const file of cached.graphs ?? []) unusedGraphs.add(file);
+    delete manifest.words[word];
+  }
+  if (prune) {
+    for (const locale of locales) {
+      if (!existsSync(locale.outDir)) continue;
+      for (const file of readdirSync(locale.outDir)) {
+        if (file.endsWith('.json') && !listed.has(file.slice(0, -'.json'.length))) removeOutput(join(locale.outDir, file));
+      }
+    }
+  }
+
+  // ── find words whose inputs changed ──
+  for (const locale of locales) mkdirSync(locale.outDir, { recursive: true });
+  mkdirSync(PITCH_GRAPH_DIR, { recursive: true });
+
+  const rowByWord = new Map(words.map((w) => [w.word, w]));
+  const localeByCode = new Map(locales.map((l) => [l.code, l]));
+  const entryHashes = new Map();
+
+  // Current value hash of one recorded input (see build-cache.js)
+  const resolveHash = (category, key) => {
+    switch (category) {
+      case 'row': return hashValue(rowByWord.get(key));
+      case 'jlpt': return hashValue(jlptMap.get(key));
+      case 'listReading': return hashValue(listReadings.get(key));
+      case 'meanings': {
+        const sep = key.indexOf(':');
+        return hashValue(localeByCode.get(key.slice(0, sep))?.wordList.get(key.slice(sep + 1)));
+      }
+      case 'entries':
+        if (!entryHashes.has(key)) entryHashes.set(key, hashValue(jmdict.entries[key]));
+        return entryHashes.get(key);
+      case 'jmdictShards': {
+        const [table, shard] = key.split('/');
+        return jmdict.manifest.hashes[table]?.[shard] ?? null;
+      }
+      case 'expressionGrams': return expressions.manifest?.hashes[key] ?? null;
+      case 'kanji': return kanjidic2.manifest?.hashes[key] ?? null;
+      case 'strokes': return strokes.manifest?.hashes[key] ?? null;
+      case 'components': return components.manifest?.hashes[key] ?? null;
+      case 'pitch': return hashValue(lookupPitch(...key.split('\t')));
+      case 'examples': return tatoebaHash && rowByWord.has(key) ? examplesHash(rowByWord.get(key)) : null;
+      case 'audio': return hashValue(context.audio?.get(key));
+      case 'lessons': return hashValue(lessons[key]);
+      case 'translations': {
+        const sep = key.indexOf(':');
+        return hashValue(localeByCode.get(key.slice(0, sep))?.translations?.get(key.slice(sep + 1)));
+      }
+      default: return null;
+    }
+  };
+
+  const pending = words.filter((jw) => {
+    const cached = manifest.words[jw.word];
+    return (
+      force ||
+      cached?.stale ||
+      !outputsMatch(cached, locales, jw.word) ||
+      !isUpToDate(cached, PIPELINE_VERSION, localeCodes, resolveHash) ||
+      // Senses left in English are retried whenever a provider is enabled
+      (providers.size > 0 && hasUntranslated(cached)) ||
+      (context.audio && cached?.audioMissing > 0)
+    );
+  });
+  const unchanged = words.length - pending.length;
+
+  let exIdx = null;
+  if (tatoebaHash && pending.length > 0) {
+    console.log(`Building examples index from Tatoeba for ${pending.length} words (one pass)...`);
+    exIdx = await buildExamplesIndex(
+      createInterface({ input: createReadStream(tatPath, 'utf-8'), crlfDelay: Infinity }),
+      new Map(pending.map((jw) => [jw.word, surfacesOf(jw)]))
     );
     console.log(`  Examples found for ${exIdx.size} words.`);
   }
+  const examplesOf = (jw) => (tatoebaHash ? { pool: exIdx?.get(jw.word) ?? [], hash: examplesHash(jw) } : null);
 
   // ── generate ──
-  mkdirSync(OUT_EN, { recursive: true });
-  mkdirSync(OUT_ID, { recursive: true });
+  console.log(`Generating ${pending.length} words (${unchanged} unchanged)${jobs > 1 ? ` with ${jobs} workers` : ''}...`);
+
+  const results = new Map();
+  const workerStats = new Map();
+  let reportAt = 0.1;
+  const onResult = (result, workerId) => {
+    results.set(result.word, result);
+    const stats = workerStats.get(workerId) ?? { ok: 0, skip: 0, error: 0 };
+    stats[result.status]++;
+    workerStats.set(workerId, stats);
+    const done = results.size / pending.length;
+    if (done >= reportAt) {
+      console.log(`  ${results.size}/${pending.length} words (${Math.floor(done * 100)}%)`);
+      while (reportAt <= done) reportAt += 0.1;
+    }
+  };
+
+  const generate = async (list) => {
+    try {
+      if (jobs > 1 && list.length > 0) {
+        await runWorkers(list, jobs, localeCodes, { mt, tts, lessons }, examplesOf, onResult);
+      } else {
+        for (const jw of list) onResult(processWord(jw, context, examplesOf(jw)), 'main');
+      }
+    } catch (err) {
+      // Keep the cache entries of the words that finished before the failure
+      for (const result of results.values()) {
+        if (result.status === 'ok') manifest.words[result.word] = result.entry;
+      }
+      saveBuildManifest(MANIFEST_PATH, manifest);
+      throw err;
+    }
+  };
+  await generate(pending);
+
+  // ── machine translation + audio: fill the stores, then regenerate the words that needed them ──
+  const retry = new Set();
+  if (providers.size > 0) {
+    for (const locale of locales) {
+      const provider = providers.get(locale.code);
+      if (!provider) continue;
+      const senses = new Map();
+      for (const jw of pending) {
+        const missing = results.get(jw.word)?.untranslated?.[locale.code] ?? [];
+        for (const sense of missing) senses.set(sense.key, sense);
+        if (missing.length > 0) retry.add(jw);
+      }
+      if (senses.size === 0) continue;
+      console.log(`Translating ${senses.size} ${locale.code} senses with ${provider.name}...`);
+      const done = await locale.translations.fill(provider, [...senses.values()]);
+      console.log(`  ${done}/${senses.size} translated.`);
+    }
+  }
+  if (context.audio) {
+    const clips = new Map();
+    for (const jw of pending) {
+      const missing = results.get(jw.word)?.audioMissing ?? [];
+      for (const c of missing) clips.set(c.key, c);
+      if (missing.length > 0) retry.add(jw);
+    }
+    if (clips.size > 0) {
+      console.log(`Synthesising ${clips.size} audio clips with ${tts}...`);
+      const done = await context.audio.synthesize([...clips.values()]);
+      console.log(`  ${done}/${clips.size} synthesised.`);
+    }
+  }
+  if (retry.size > 0) {
+    console.log(`Regenerating ${retry.size} words with the new translations and clips...`);
+    await generate([...retry]);
+  }
 
+  // ── merge results in word order ──
   let ok = 0;
   let skip = 0;
+  const errors = [];
+  const tagSummary = new Map();
+  const coverage = new Map();
 
   for (const jw of words) {
-    // ── step 1: JMdict lookup ──
-    let seqs = jmdict.wordLookup[jw.word];
-    if (!seqs?.length) seqs = jmdict.readingLookup[jw.word];
-    if (!seqs?.length) {
-      skip++;
+    const result = results.get(jw.word);
+    if (!result) {
+      tallyTags(tagSummary, jw.jlpt, manifest.words[jw.word].tags);
+      tallyTranslation(coverage, jw.jlpt, manifest.words[jw.word].translation);
       continue;
     }
-
-    let primarySeq = seqs[0];
-    if (!jmdict.wordLookup[jw.word] && seqs.length > 1) {
-      primarySeq = [...seqs].sort((a, b) => {
-        const fa = freqRank(jmdict.entries[a]?.priority ?? []) ?? 99999;
-        const fb = freqRank(jmdict.entries[b]?.priority ?? []) ?? 99999;
-        return fa - fb;
-      })[0];
-    }
-
-    const matched = new Set(seqs);
-    const primary = jmdict.entries[primarySeq];
-    if (!primary) {
-      skip++;
-      continue;
+    if (result.status === 'ok') {
+      manifest.words[jw.word] = result.entry;
+      tallyTags(tagSummary, jw.jlpt, result.entry.tags);
+      tallyTranslation(coverage, jw.jlpt, result.entry.translation);
+      ok++;
+    } else {
+      if (result.status === 'skip') skip++;
+      else errors.push(result);
+      // Outputs of an earlier build stay; the entry keeps track of them (for
+      // removal from the lists) and is retried next run
+      if (manifest.words[jw.word]) manifest.words[jw.word] = { ...manifest.words[jw.word], stale: true };
     }
+  }
 
-    const w = primary.kanji[0] || primary.readings[0];
-    const r = primary.readings[0] || jw.reading;
-    const sourceFreq = freqRank(primary.priority);
+  // Graphs are shared by words with the same reading and accent: keep those still in use
+  const graphsInUse = new Set(Object.values(manifest.words).flatMap((e) => e.graphs ?? []));
+  for (const file of unusedGraphs) {
+    if (graphsInUse.has(file) || !existsSync(join(PITCH_GRAPH_DIR, file))) continue;
+    unlinkSync(join(PITCH_GRAPH_DIR, file));
+  }
 
-    // ── step 2: filter senses ──
-    const filteredSenses = filterSenses(primary.senses, jw.jlpt);
-    if (filteredSenses.length === 0) {
-      skip++;
-      continue;
+  saveBuildManifest(MANIFEST_PATH, manifest);
+
+  writeAttribution(
+    ATTRIBUTION_PATH,
+    join(INDICES_DIR, 'datasets.json'),
+    [
+      'jmdict', 'kanjidic2',
+      ...(tatoebaHash ? ['tatoeba'] : []),
+      ...(hasPitchData() ? ['pitch'] : []),
+      ...(strokes.manifest?.count > 0 ? ['kanjivg'] : []),
+      ...(components.manifest?.count > 0 ? ['kradfile'] : []),
+    ]
+  );
+
+  // ── search index (default locales, every listed word with a current page) ──
+  // Partial runs leave it alone: their pages would make a partial index.
+  if (levelFlag || wordFlag || !DEFAULT_LOCALES.every((code) => localeCodes.includes(code))) {
+    console.log('\nSearch index: not rebuilt (partial run; run without --level, --word or --locales to update it).');
+  } else {
+    const { indexed, dropped } = writeSearchIndex(
+      SEARCH_INDEX_PATH,
+      DEFAULT_LOCALES.map((code) => ({ code, outDir: join(ROOT, LOCALES[code].outDir) })),
+      [...listed]
+    );
+    console.log(`\nSearch index: ${indexed} words written to dist/search/index.json.`);
+    if (dropped.length > 0) {
+      console.log(
+        `  ${dropped.length} listed words left out (no current page in every default locale): ` +
+          `${dropped.slice(0, 10).join(', ')}${dropped.length > 10 ? ', …' : ''}`
+      );
     }
+  }
 
-    const enEntries = filteredSenses.map((s) => ({
-      pos: s.pos,
-      meanings: s.meanings,
-    }));
-
-    const idMeaning = idMeaningMap.get(jw.word);
-    const idMeaningSplit = idMeaning ? idMeaning.split(/,\s*/).map((m) => m.trim()) : null;
-    const idEntries = enEntries.map((enEntry, idx) => ({
-      pos: enEntry.pos,
-      meanings: idMeaningSplit && idx === 0 ? idMeaningSplit : enEntry.meanings,
-    }));
-
-    // ── step 3: pitch accent ──
-    const allPos = filteredSenses.flatMap((s) => s.pos);
-    const pitch = lookupPitch(r);
-
-    // ── step 4: related words ──
-    const sourcePosSet = new Set(allPos);
-    const isInterjection = allPos.some((p) => p.toLowerCase().includes('interjection'));
-
-    let related = [];
-    let idRelated = [];
-
-    if (!isInterjection) {
-      const relSeqs = new Set();
-      for (const ch of w) {
-        if (isKanji(ch) && jmdict.kanjiCharIndex[ch]) {
-          for (const s of jmdict.kanjiCharIndex[ch]) {
-            if (!matched.has(s)) relSeqs.add(s);
-          }
-        }
-      }
+  printTagSummary(tagSummary);
+  printTranslationCoverage(coverage);
 
-      related = [...relSeqs]
-        .map((s) => jmdict.entries[s])
-        .filter((e) => e?.priority.length > 0 && !isNoise(e, kanjidic2))
-        .map((e) => ({
-          entry: e,
-          score: scoreRelated(e, w, jw.jlpt, sourceFreq, sourcePosSet, jlptMap),
-        }))
-        .filter(({ score }) => score > 0)
-        .sort(
-          (a, b) =>
-            b.score - a.score ||
-            (freqRank(a.entry.priority) ?? 99999) - (freqRank(b.entry.priority) ?? 99999)
-        )
-        .slice(0, 20)
-        .map(({ entry: e }) => ({
-          word: e.kanji[0] || e.readings[0],
-          reading: e.readings[0],
-          meaning: e.senses[0]?.meanings[0] ?? '',
-        }));
-
-      related = filterRelatedByJlpt(related, jw.jlpt, jlptMap);
-      related = related.slice(0, 20);
-
-      idRelated = related.map((rel) => ({
-        ...rel,
-        meaning: idMeaningMap.get(rel.word) ?? rel.meaning,
-      }));
+  if (jobs > 1 && workerStats.size > 0) {
+    console.log('\nWorkers:');
+    for (const [id, s] of [...workerStats].sort((a, b) => a[0] - b[0])) {
+      console.log(`  #${id}: ${s.ok} generated, ${s.skip} skipped, ${s.error} errors`);
     }
-
-    // ── step 5: extract idioms ──
-    const idioms = extractIdioms(w, jmdict, sourceFreq, matched);
-
-    // ── step 6: lessons ──
-    const rawExamples = exIdx?.get(jw.word) ?? [];
-    const examples = filterExamples(rawExamples, jw.jlpt, kanjidic2);
-
-    const enLessons = examples.map((ex) => ({
-      japanese: ex.japanese,
-      reading: null,
-      english: ex.english,
-      lessonInfo: {
-        level: analyzeSentenceLevel(ex.japanese, kanjidic2),
-      },
-    }));
-
-    const idLessons = examples.map((ex) => ({
-      japanese: ex.japanese,
-      reading: null,
-      indonesian: ex.english,
-      lessonInfo: {
-        level: analyzeSentenceLevel(ex.japanese, kanjidic2),
-      },
-    }));
-
-    // ── step 7: write output ──
-    const en = {
-      definition: {
-        word: w,
-        reading: r,
-        romaji: toRomaji(r),
-        jlpt: jw.jlpt,
-        frequency: sourceFreq,
-        entries: enEntries,
-      },
-      ...(pitch && { pitch }),
-      related,
-      idioms,
-      lessons: enLessons,
-    };
-
-    const id = {
-      definition: {
-        word: w,
-        reading: r,
-        romaji: toRomaji(r),
-        jlpt: jw.jlpt,
-        frequency: sourceFreq,
-        entries: idEntries,
-      },
-      ...(pitch && { pitch }),
-      related: idRelated,
-      idioms,
-      lessons: idLessons,
-    };
-
-    writeFileSync(join(OUT_EN, `${jw.word}.json`), JSON.stringify(en, null, 2));
-    writeFileSync(join(OUT_ID, `${jw.word}.json`), JSON.stringify(id, null, 2));
-
-    ok++;
+  }
+  if (errors.length > 0) {
+    console.log(`\nErrors (${errors.length}):`);
+    for (const { word, error } of errors) console.log(`  ${word}: ${error}`);
   }
 
-  console.log(`\nDone. ${ok} generated, ${skip} skipped.`);
+  console.log(
+    `\nDone. ${ok} generated, ${unchanged} unchanged, ${skip} skipped, ${errors.length} failed, ${removed} removed ` +
+      `(${jmdict.shardsLoaded()} JMdict shards read in main thread).`
+  );
+  if (errors.length > 0) process.exitCode = 1;
 }
 
-main();
+if (isMainThread) {
+  main().catch((err) => {
+    console.error('Build failed:', err);
+    process.exit(1);
+  });
+} else {
+  workerMain();
+}
@@ -6,6 +6,7 @@ import { join, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import http from 'node:http';
 import https from 'node:https';
+import { LOCALES, DEFAULT_LOCALES, exampleLanguages } from './locales.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT = join(__dirname, '..', '..');
@@ -87,9 +88,32 @@ async function downloadAndUntarBz2(url, destDir, expectedFile) {
   console.log('Done.\n');
 }
 
+async function downloadAndUnzip(url, destDir, expectedDir) {
+  const tempFile = join(destDir, '_temp.zip');
+  console.log(`Downloading: ${url}`);
+  await downloadFile(url, tempFile);
+  console.log(`Extracting → ${join(destDir, expectedDir)}`);
+  execSync(`unzip -qo "${tempFile}" -d "${destDir}"`);
+  unlinkSync(tempFile);
+  console.log('Done.\n');
+}
+
+// KanjiVG release to fetch (tag r<date> on GitHub)
+const KANJIVG_RELEASE = '20240807';
+
 const SKIP_TATOEBA = process.argv.includes('--skip-tatoeba');
+const MULTILINGUAL = process.argv.includes('--multilingual');
+// Tatoeba translations are only fetched for these locales' languages
+const LOCALE_CODES = process.argv.find((a) => a.startsWith('--locales='))?.split('=')[1]?.split(',') ?? DEFAULT_LOCALES;
 
 async function main() {
+  for (const code of LOCALE_CODES) {
+    if (!LOCALES[code]) {
+      console.error(`Unknown locale "${code}". Known: ${Object.keys(LOCALES).join(', ')}`);
+      process.exit(1);
+    }
+  }
+
   ensureDir(DATA_DIR);
   ensureDir(join(DATA_DIR, 'tatoeba'));
 
@@ -104,6 +128,19 @@ async function main() {
     console.log('JMdict_e.xml exists, skipping.\n');
   }
 
+  // ── JMdict multilingual (glosses for non-English locales, optional) ──
+  if (MULTILINGUAL) {
+    const fullPath = join(DATA_DIR, 'JMdict.xml');
+    if (!existsSync(fullPath)) {
+      await downloadAndGunzip(
+        'http://ftp.edrdg.org/pub/Nihongo/JMdict.gz',
+        fullPath
+      );
+    } else {
+      console.log('JMdict.xml exists, skipping.\n');
+    }
+  }
+
   // ── KANJIDIC2 (kanji metadata) ──
   const kanjidicPath = join(DATA_DIR, 'kanjidic2.xml');
   if (!existsSync(kanjidicPath)) {
@@ -115,30 +152,57 @@ async function main() {
     console.log('kanjidic2.xml exists, skipping.\n');
   }
 
+  // ── Kanjium pitch accents (word, reading, accent positions) ──
+  const accentsPath = join(DATA_DIR, 'accents.txt');
+  if (!existsSync(accentsPath)) {
+    const url = 'https://raw.githubusercontent.com/mifunetoshiro/kanjium/master/data/source_files/raw/accents.txt';
+    console.log(`Downloading: ${url}`);
+    await downloadFile(url, accentsPath);
+    console.log('Done.\n');
+  } else {
+    console.log('accents.txt exists, skipping.\n');
+  }
+
+  // ── KRADFILE / RADKFILE (kanji components) ──
+  const kradDir = join(DATA_DIR, 'krad');
+  if (!existsSync(join(kradDir, 'kradfile'))) {
+    ensureDir(kradDir);
+    await downloadAndUnzip('http://ftp.edrdg.org/pub/Nihongo/kradzip.zip', kradDir, 'kradfile');
+  } else {
+    console.log('krad/kradfile exists, skipping.\n');
+  }
+
+  // ── KanjiVG (stroke order, one SVG per kanji) ──
+  const kanjivgDir = join(DATA_DIR, 'kanjivg');
+  if (!existsSync(join(kanjivgDir, 'kanji'))) {
+    ensureDir(kanjivgDir);
+    await downloadAndUnzip(
+      `https://github.com/KanjiVG/kanjivg/releases/download/r${KANJIVG_RELEASE}/kanjivg-${KANJIVG_RELEASE}-main.zip`,
+      kanjivgDir,
+      'kanji'
+    );
+  } else {
+    console.log('kanjivg/kanji exists, skipping.\n');
+  }
+
   // ── Tatoeba (example sentences, optional) ──
   if (SKIP_TATOEBA) {
     console.log('Skipping Tatoeba (--skip-tatoeba).\n');
   } else {
     const tatDir = join(DATA_DIR, 'tatoeba');
 
-    const jpnPath = join(tatDir, 'jpn_sentences.tsv');
-    if (!existsSync(jpnPath)) {
-      await downloadAndBunzip2(
-        'https://downloads.tatoeba.org/exports/per_language/jpn/jpn_sentences.tsv.bz2',
-        jpnPath
-      );
-    } else {
-      console.log('jpn_sentences.tsv exists, skipping.\n');
-    }
-
-    const engPath = join(tatDir, 'eng_sentences.tsv');
-    if (!existsSync(engPath)) {
-      await downloadAndBunzip2(
-        'https://downloads.tatoeba.org/exports/per_language/eng/eng_sentences.tsv.bz2',
-        engPath
-      );
-    } else {
-      console.log('eng_sentences.tsv exists, skipping.\n');
+    // Detailed exports add contributor usernames, needed for attribution
+    for (const lang of ['jpn', 'eng', ...exampleLanguages(LOCALE_CODES)]) {
+      const file = `${lang}_sentences_detailed.tsv`;
+      const langPath = join(tatDir, file);
+      if (!existsSync(langPath)) {
+        await downloadAndBunzip2(
+          `https://downloads.tatoeba.org/exports/per_language/${lang}/${file}.bz2`,
+          langPath
+        );
+      } else {
+        console.log(`${file} exists, skipping.\n`);
+      }
     }
 
     const linksPath = join(tatDir, 'links.csv');
@@ -0,0 +1,156 @@
+/**
+ * Text-to-speech clips for headwords, lesson sentences and idioms.
+ *
+ * Clips are content-addressed: the key is a hash of provider + voice + text,
+ * so the same sentence is synthesised once however many words use it, and a
+ * rerun only synthesises text it has not seen. Files live under dist/audio/
+ * as `<key[0..2]>/<key>.<format>`; dist/audio/manifest.json lists every clip
+ * with the text and voice it was made from:
+ *
+ *   { notice, clips: { [key]: { file, text, provider, model, voice, bytes } } }
+ *
+ * Word files reference clips by path relative to dist/ (`audio/3f/3f2a….mp3`).
+ * As with translations (translate.js), lookups are synchronous so build
+ * workers can use them; build.js collects the missing clips and calls
+ * `synthesize()` between build passes.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { createHash } from 'node:crypto';
+import OpenAI from 'openai';
+
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini-tts';
+const DEFAULT_OPENAI_VOICE = 'alloy';
+
+/** Names accepted by --tts / TTS_PROVIDER, besides 'off'. */
+export const TTS_PROVIDERS = ['openai', 'stub'];
+
+/** Content address of a clip. */
+export function audioKey(text, voice, provider) {
+  return createHash('sha1').update(`${provider}\0${voice}\0${text}`).digest('hex');
+}
+
+/**
+ * Clip store in `dir` (dist/audio/) for one provider.
+ *
+ * @param {string} dir
+ * @param {object} provider - From createTtsProvider
+ * @returns {{ keyOf(text: string): string, get(key: string): string|undefined, synthesize: Function }}
+ */
+export function loadAudioStore(dir, provider) {
+  const manifestPath = join(dir, 'manifest.json');
+  const manifest = existsSync(manifestPath)
+    ? JSON.parse(readFileSync(manifestPath, 'utf-8'))
+    : { clips: {} };
+  manifest.notice = 'Clips are synthesised speech, not recordings of a human speaker.';
+
+  const save = () => writeFileSync(manifestPath, JSON.stringify(manifest, null, 1));
+
+  return {
+    keyOf(text) {
+      return audioKey(text, provider.voice, provider.name);
+    },
+
+    /** Path of the clip relative to dist/ (`audio/…`), if it has been synthesised. */
+    get(key) {
+      const clip = manifest.clips[key];
+      if (!clip || !existsSync(join(dir, clip.file))) return undefined;
+      return `audio/${clip.file}`;
+    },
+
+    /**
+     * Synthesise clips and record them in the manifest (saved every 50 clips,
+     * so an interrupted run keeps what it made). Failures are reported and
+     * skipped.
+     *
+     * @param {Array<{ key: string, text: string }>} clips
+     * @returns {Promise<number>} Clips written
+     */
+    async synthesize(clips) {
+      let done = 0;
+      for (const [i, { key, text }] of clips.entries()) {
+        let audio;
+        try {
+          audio = await provider.synthesize(text);
+        } catch (err) {
+          console.log(`  ${provider.name}: "${text}" failed — ${err.message}`);
+          continue;
+        }
+        const file = `${key.slice(0, 2)}/${key}.${provider.format}`;
+        mkdirSync(dirname(join(dir, file)), { recursive: true });
+        writeFileSync(join(dir, file), audio);
+        manifest.clips[key] = {
+          file, text, provider: provider.name, model: provider.model, voice: provider.voice, bytes: audio.length,
+        };
+        done++;
+        if ((i + 1) % 50 === 0) {
+          save();
+          console.log(`  ${i + 1}/${clips.length} clips`);
+        }
+      }
+      mkdirSync(dir, { recursive: true });
+      save();
+      return done;
+    },
+  };
+}
+
+function openaiProvider() {
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error('OPENAI_API_KEY is not set (add it to .env, or use --tts=stub offline).');
+  }
+  const client = new OpenAI();
+  const model = process.env.OPENAI_TTS_MODEL || DEFAULT_OPENAI_MODEL;
+  const voice = process.env.OPENAI_TTS_VOICE || DEFAULT_OPENAI_VOICE;
+
+  return {
+    name: 'openai',
+    model,
+    voice,
+    format: 'mp3',
+    async synthesize(text) {
+      const response = await client.audio.speech.create({ model, voice, input: text, response_format: 'mp3' });
+      return Buffer.from(await response.arrayBuffer());
+    },
+  };
+}
+
+// Offline stand-in: a quarter second of silence (8 kHz, 8-bit mono WAV)
+function stubProvider() {
+  const samples = 2000;
+  const wav = Buffer.alloc(44 + samples, 0x80);
+  wav.write('RIFF', 0);
+  wav.writeUInt32LE(36 + samples, 4);
+  wav.write('WAVEfmt ', 8);
+  wav.writeUInt32LE(16, 16);
+  wav.writeUInt16LE(1, 20); // PCM
+  wav.writeUInt16LE(1, 22); // mono
+  wav.writeUInt32LE(8000, 24);
+  wav.writeUInt32LE(8000, 28);
+  wav.writeUInt16LE(1, 32);
+  wav.writeUInt16LE(8, 34);
+  wav.write('data', 36);
+  wav.writeUInt32LE(samples, 40);
+
+  return {
+    name: 'stub',
+    model: null,
+    voice: 'silent',
+    format: 'wav',
+    async synthesize() {
+      return wav;
+    },
+  };
+}
+
+/**
+ * TTS provider by name.
+ * @param {string} name - One of TTS_PROVIDERS
+ * @returns {{ name: string, model: string|null, voice: string, format: string, synthesize(text: string): Promise<Buffer> }}
+ */
+export function createTtsProvider(name) {
+  if (name === 'openai') return openaiProvider();
+  if (name === 'stub') return stubProvider();
+  throw new Error(`Unknown TTS provider "${name}". Known: ${TTS_PROVIDERS.join(', ')}, off`);
+}
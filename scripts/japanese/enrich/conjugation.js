@@ -1,41 +1,114 @@
 /**
- * Rule-based Japanese verb conjugation generator.
- * Detects verb class from JMdict POS tags and generates standard forms.
+ * Rule-based Japanese verb and adjective conjugation generator.
+ * Detects verb / adjective class from JMdict POS tags and generates standard forms.
  *
- * Supports: ichidan, godan (all endings), godan-iku (special te/ta),
- *           suru (including N+する compounds), kuru (kanji + kana forms).
+ * Supports: ichidan (incl. kureru and -zuru), godan (all endings),
+ *           godan-iku (special te/ta), godan-aru (くださる, いらっしゃる…),
+ *           ある (irregular negative), 問う-style special u verbs,
+ *           suru (including N+する compounds and する-special class),
+ *           kuru (kanji + kana forms), i-adjectives (incl. いい/よい)
+ *           and na-adjectives.
  */
 
-const GODAN_MAP = {
-  'う': { a: 'わ', i: 'い', e: 'え', te: 'って', ta: 'った' },
-  'く': { a: 'か', i: 'き', e: 'け', te: 'いて', ta: 'いた' },
-  'ぐ': { a: 'が', i: 'ぎ', e: 'げ', te: 'いで', ta: 'いだ' },
-  'す': { a: 'さ', i: 'し', e: 'せ', te: 'して', ta: 'した' },
-  'つ': { a: 'た', i: 'ち', e: 'て', te: 'って', ta: 'った' },
-  'ぬ': { a: 'な', i: 'に', e: 'ね', te: 'んで', ta: 'んだ' },
-  'ぶ': { a: 'ば', i: 'び', e: 'べ', te: 'んで', ta: 'んだ' },
-  'む': { a: 'ま', i: 'み', e: 'め', te: 'んで', ta: 'んだ' },
-  'る': { a: 'ら', i: 'り', e: 'れ', te: 'って', ta: 'った' },
+export const GODAN_MAP = {
+  'う': { a: 'わ', i: 'い', e: 'え', o: 'お', te: 'って', ta: 'った' },
+  'く': { a: 'か', i: 'き', e: 'け', o: 'こ', te: 'いて', ta: 'いた' },
+  'ぐ': { a: 'が', i: 'ぎ', e: 'げ', o: 'ご', te: 'いで', ta: 'いだ' },
+  'す': { a: 'さ', i: 'し', e: 'せ', o: 'そ', te: 'して', ta: 'した' },
+  'つ': { a: 'た', i: 'ち', e: 'て', o: 'と', te: 'って', ta: 'った' },
+  'ぬ': { a: 'な', i: 'に', e: 'ね', o: 'の', te: 'んで', ta: 'んだ' },
+  'ぶ': { a: 'ば', i: 'び', e: 'べ', o: 'ぼ', te: 'んで', ta: 'んだ' },
+  'む': { a: 'ま', i: 'み', e: 'め', o: 'も', te: 'んで', ta: 'んだ' },
+  'る': { a: 'ら', i: 'り', e: 'れ', o: 'ろ', te: 'って', ta: 'った' },
 };
 
+const SURU_NOUN_POS = /takes the aux\. verb suru/i;
+
 /**
  * Detect verb class from an array of JMdict POS tags.
  * @param {string[]} posTags
- * @returns {'ichidan'|'godan'|'godan-iku'|'suru'|'kuru'|null}
+ * @returns {'ichidan'|'ichidan-kureru'|'ichidan-zuru'|'godan'|'godan-iku'|'godan-aru'|'godan-ru-irregular'|'godan-u-special'|'suru'|'suru-special'|'kuru'|null}
  */
 export function detectVerbClass(posTags) {
   for (const pos of posTags) {
     if (/Kuru verb/i.test(pos)) return 'kuru';
+    if (/suru verb - special class/i.test(pos)) return 'suru-special';
     if (/suru verb/i.test(pos)) return 'suru';
     if (/Godan verb - Iku\/Yuku special class/i.test(pos)) return 'godan-iku';
+    if (/Godan verb - -aru special class/i.test(pos)) return 'godan-aru';
+    if (/Godan verb with 'ru' ending \(irregular verb\)/i.test(pos)) return 'godan-ru-irregular';
+    if (/Godan verb with 'u' ending \(special class\)/i.test(pos)) return 'godan-u-special';
     if (/Godan verb/i.test(pos)) return 'godan';
+    if (/Ichidan verb - kureru special class/i.test(pos)) return 'ichidan-kureru';
+    if (/Ichidan verb - zuru verb/i.test(pos)) return 'ichidan-zuru';
     if (/Ichidan verb/i.test(pos)) return 'ichidan';
   }
   return null;
 }
 
+/**
+ * Detect adjective class from an array of JMdict POS tags.
+ * @param {string[]} posTags
+ * @returns {'i'|'i-yoi'|'na'|null}
+ */
+export function detectAdjectiveClass(posTags) {
+  for (const pos of posTags) {
+    if (/yoi\/ii class/i.test(pos)) return 'i-yoi';
+    if (/^adjective \(keiyoushi\)$/i.test(pos)) return 'i';
+    if (/keiyodoshi/i.test(pos)) return 'na';
+  }
+  return null;
+}
+
+/**
+ * Expand the irregular core of a verb into the full form table.
+ * Polite, negative te/ta, tara and tai forms are regular once the
+ * masu-stem, nai-form and ta-form are known.
+ */
+function verbForms(type, dictionary, base) {
+  const naiStem = base.nai.slice(0, -1);
+  return {
+    type,
+    dictionary,
+    masu: base.masuStem + 'ます',
+    nai: base.nai,
+    ta: base.ta,
+    te: base.te,
+    potential: base.potential,
+    passive: base.passive,
+    causative: base.causative,
+    politeNegative: base.masuStem + 'ません',
+    politePast: base.masuStem + 'ました',
+    politePastNegative: base.masuStem + 'ませんでした',
+    negativeTa: naiStem + 'かった',
+    negativeTe: base.nai + 'で',
+    volitional: base.volitional,
+    imperative: base.imperative,
+    conditional: base.conditional,
+    tara: base.ta + 'ら',
+    tai: (base.taiStem ?? base.masuStem) + 'たい',
+  };
+}
+
+function ichidanBase(stem) {
+  return {
+    masuStem: stem,
+    nai: stem + 'ない',
+    ta: stem + 'た',
+    te: stem + 'て',
+    potential: stem + 'られる',
+    passive: stem + 'られる',
+    causative: stem + 'させる',
+    volitional: stem + 'よう',
+    imperative: stem + 'ろ',
+    conditional: stem + 'れば',
+  };
+}
+
 /**
  * Generate conjugation forms for a verb.
+ * Call once with the kanji surface and once with the kana reading to get
+ * both spellings of every form.
  * @param {string} word     - Dictionary form (may include kanji, e.g. 食べる)
  * @param {string} reading  - Kana reading (e.g. たべる)
  * @param {string} verbClass
@@ -44,84 +117,221 @@ export function detectVerbClass(posTags) {
 export function conjugate(word, reading, verbClass) {
   if (!verbClass) return null;
 
-  if (verbClass === 'ichidan') {
+  if (verbClass === 'ichidan' || verbClass === 'ichidan-kureru') {
     const stem = word.slice(0, -1);
-    return {
-      type: 'ichidan',
-      dictionary: word,
-      masu: stem + 'ます',
-      nai: stem + 'ない',
-      ta: stem + 'た',
-      te: stem + 'て',
-      potential: stem + 'られる',
-      passive: stem + 'られる',
-      causative: stem + 'させる',
-    };
+    const base = ichidanBase(stem);
+    // くれる: imperative is くれ, not くれろ
+    if (verbClass === 'ichidan-kureru') base.imperative = stem;
+    return verbForms('ichidan', word, base);
+  }
+
+  if (verbClass === 'ichidan-zuru') {
+    // 信ずる conjugates like 信じる apart from the ば-conditional
+    if (!word.endsWith('ずる')) return null;
+    const base = ichidanBase(word.slice(0, -2) + 'じ');
+    base.conditional = word.slice(0, -1) + 'れば';
+    return verbForms('ichidan', word, base);
   }
 
-  if (verbClass === 'godan' || verbClass === 'godan-iku') {
+  if (verbClass.startsWith('godan')) {
     const lastChar = word.slice(-1);
     const forms = GODAN_MAP[lastChar];
     if (!forms) return null;
     const stem = word.slice(0, -1);
-    const isIku = verbClass === 'godan-iku';
 
-    return {
-      type: 'godan',
-      dictionary: word,
-      masu: stem + forms.i + 'ます',
+    const base = {
+      masuStem: stem + forms.i,
       nai: stem + forms.a + 'ない',
-      ta: isIku ? stem + 'った' : stem + forms.ta,
-      te: isIku ? stem + 'って' : stem + forms.te,
+      ta: stem + forms.ta,
+      te: stem + forms.te,
       potential: stem + forms.e + 'る',
       passive: stem + forms.a + 'れる',
       causative: stem + forms.a + 'せる',
+      volitional: stem + forms.o + 'う',
+      imperative: stem + forms.e,
+      conditional: stem + forms.e + 'ば',
     };
+
+    if (verbClass === 'godan-iku') {
+      base.ta = stem + 'った';
+      base.te = stem + 'って';
+    } else if (verbClass === 'godan-u-special') {
+      // 問う → 問うた / 問うて
+      base.ta = stem + 'うた';
+      base.te = stem + 'うて';
+    } else if (verbClass === 'godan-aru') {
+      // くださる → くださいます / ください
+      base.taiStem = base.masuStem;
+      base.masuStem = stem + 'い';
+      base.imperative = stem + 'い';
+    } else if (verbClass === 'godan-ru-irregular') {
+      // ある → ない (有る / 在る drop the kanji too)
+      base.nai = word.slice(0, -2) + 'ない';
+    }
+
+    return verbForms('godan', word, base);
   }
 
   if (verbClass === 'suru') {
-    const prefix = word.endsWith('する') ? word.slice(0, -2) : '';
-    return {
-      type: 'irregular',
-      dictionary: word,
-      masu: prefix + 'します',
+    const prefix = word.endsWith('する') || word.endsWith('為る') ? word.slice(0, -2) : '';
+    return verbForms('irregular', word, {
+      masuStem: prefix + 'し',
       nai: prefix + 'しない',
       ta: prefix + 'した',
       te: prefix + 'して',
       potential: prefix + 'できる',
       passive: prefix + 'される',
       causative: prefix + 'させる',
-    };
+      volitional: prefix + 'しよう',
+      imperative: prefix + 'しろ',
+      conditional: prefix + 'すれば',
+    });
+  }
+
+  if (verbClass === 'suru-special') {
+    // 愛する: negative / potential follow the godan す pattern (愛さない, 愛せる)
+    if (!word.endsWith('する')) return null;
+    const prefix = word.slice(0, -2);
+    return verbForms('irregular', word, {
+      masuStem: prefix + 'し',
+      nai: prefix + 'さない',
+      ta: prefix + 'した',
+      te: prefix + 'して',
+      potential: prefix + 'せる',
+      passive: prefix + 'される',
+      causative: prefix + 'させる',
+      volitional: prefix + 'そう',
+      imperative: prefix + 'せよ',
+      conditional: prefix + 'すれば',
+    });
   }
 
   if (verbClass === 'kuru') {
     if (word.endsWith('来る')) {
       const prefix = word.slice(0, -2);
-      return {
-        type: 'irregular',
-        dictionary: word,
-        masu: prefix + '来ます',
+      return verbForms('irregular', word, {
+        masuStem: prefix + '来',
         nai: prefix + '来ない',
         ta: prefix + '来た',
         te: prefix + '来て',
         potential: prefix + '来られる',
         passive: prefix + '来られる',
         causative: prefix + '来させる',
-      };
+        volitional: prefix + '来よう',
+        imperative: prefix + '来い',
+        conditional: prefix + '来れば',
+      });
     }
     const prefix = word.endsWith('くる') ? word.slice(0, -2) : '';
-    return {
-      type: 'irregular',
-      dictionary: word,
-      masu: prefix + 'きます',
+    return verbForms('irregular', word, {
+      masuStem: prefix + 'き',
       nai: prefix + 'こない',
       ta: prefix + 'きた',
       te: prefix + 'きて',
       potential: prefix + 'こられる',
       passive: prefix + 'こられる',
       causative: prefix + 'こさせる',
+      volitional: prefix + 'こよう',
+      imperative: prefix + 'こい',
+      conditional: prefix + 'くれば',
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Generate conjugation forms for an adjective.
+ * @param {string} word     - Dictionary form (e.g. 高い, 静か)
+ * @param {string} adjClass - From detectAdjectiveClass
+ * @returns {object|null}
+ */
+export function conjugateAdjective(word, adjClass) {
+  if (adjClass === 'i' || adjClass === 'i-yoi') {
+    if (!word.endsWith('い')) return null;
+    // いい / かっこいい inflect from よい
+    const stem =
+      adjClass === 'i-yoi' && word.endsWith('いい')
+        ? word.slice(0, -2) + 'よ'
+        : word.slice(0, -1);
+    return {
+      type: 'i-adjective',
+      dictionary: word,
+      polite: word + 'です',
+      nai: stem + 'くない',
+      ta: stem + 'かった',
+      te: stem + 'くて',
+      politeNegative: stem + 'くないです',
+      politePast: stem + 'かったです',
+      politePastNegative: stem + 'くなかったです',
+      negativeTa: stem + 'くなかった',
+      negativeTe: stem + 'くなくて',
+      adverb: stem + 'く',
+      conditional: stem + 'ければ',
+      tara: stem + 'かったら',
+    };
+  }
+
+  if (adjClass === 'na') {
+    return {
+      type: 'na-adjective',
+      dictionary: word,
+      attributive: word + 'な',
+      polite: word + 'です',
+      nai: word + 'ではない',
+      ta: word + 'だった',
+      te: word + 'で',
+      politeNegative: word + 'ではありません',
+      politePast: word + 'でした',
+      politePastNegative: word + 'ではありませんでした',
+      negativeTa: word + 'ではなかった',
+      negativeTe: word + 'ではなくて',
+      adverb: word + 'に',
+      conditional: word + 'なら',
+      tara: word + 'だったら',
     };
   }
 
   return null;
 }
+
+/**
+ * Build the conjugation table for a dictionary entry, pairing each form's
+ * surface spelling with its kana reading.
+ *
+ * Verb classes take precedence over adjectives; nouns that take する
+ * (勉強 → 勉強する) fall back to the suru table.
+ *
+ * @param {string}   word    - Headword (e.g. 来る)
+ * @param {string}   reading - Kana reading (e.g. くる)
+ * @param {string[]} posTags - All POS tags from filtered senses
+ * @returns {{ type: string, forms: Object<string, { word: string, reading: string }> }|null}
+ */
+export function buildConjugations(word, reading, posTags) {
+  let surface = null;
+  let kana = null;
+
+  const verbClass = detectVerbClass(posTags);
+  const adjClass = detectAdjectiveClass(posTags);
+
+  if (verbClass) {
+    surface = conjugate(word, reading, verbClass);
+    kana = conjugate(reading, reading, verbClass);
+  } else if (adjClass) {
+    surface = conjugateAdjective(word, adjClass);
+    kana = conjugateAdjective(reading, adjClass);
+  } else if (posTags.some((p) => SURU_NOUN_POS.test(p))) {
+    surface = conjugate(word + 'する', reading + 'する', 'suru');
+    kana = conjugate(reading + 'する', reading + 'する', 'suru');
+  }
+
+  if (!surface || !kana) return null;
+
+  const { type, ...forms } = surface;
+  return {
+    type,
+    forms: Object.fromEntries(
+      Object.entries(forms).map(([name, w]) => [name, { word: w, reading: kana[name] }])
+    ),
+  };
+}
@@ -0,0 +1,150 @@
+/**
+ * Lesson example ranking and selection.
+ *
+ * Candidates are Tatoeba sentences already matched to the word (see
+ * locateTarget in build.js). Each is scored on:
+ *   - coverage: share of the sentence's other dictionary words that are in
+ *     the JLPT lists at or below the word's own level
+ *   - length: closeness to the level's target length
+ * Selection is greedy: every pick is re-scored against the lessons already
+ * chosen, penalising similar sentences and repeated conjugated forms, and
+ * near-duplicates or pairs with the same translation are dropped outright.
+ */
+
+import { JLPT_RANK } from './filters.js';
+
+/**
+ * Default lessons kept per word and target sentence length (characters) per
+ * level. build.js --lessons overrides the counts (see parseLessonCounts).
+ */
+export const LESSONS_PER_LEVEL = {
+  N5: { count: 5, targetLength: 8 },
+  N4: { count: 5, targetLength: 11 },
+  N3: { count: 6, targetLength: 14 },
+  N2: { count: 6, targetLength: 17 },
+  N1: { count: 8, targetLength: 20 },
+};
+
+/**
+ * LESSONS_PER_LEVEL with the counts of a `N5:3,N1:10` spec applied; levels
+ * not named keep their default.
+ * @param {string} spec
+ * @returns {Object<string, { count: number, targetLength: number }>}
+ */
+export function parseLessonCounts(spec) {
+  const lessons = structuredClone(LESSONS_PER_LEVEL);
+  for (const part of spec.split(',')) {
+    const [level, count] = part.split(':');
+    if (!lessons[level.toUpperCase()] || !/^\d+$/.test(count ?? '')) {
+      throw new Error(`Invalid --lessons entry "${part}": expected LEVEL:COUNT, e.g. N5:3,N1:10`);
+    }
+    lessons[level.toUpperCase()].count = Number(count);
+  }
+  return lessons;
+}
+
+const WEIGHTS = {
+  coverage: 2,
+  length: 1,
+  similarity: 1.5, // × highest similarity to an already selected lesson
+  repeatedForm: 0.5, // same conjugated form as an already selected lesson
+};
+
+// Similarity at or above which two sentences count as near-duplicates
+const NEAR_DUPLICATE = 0.75;
+
+function normalizeJapanese(text) {
+  return text.replace(/[\s、。！？!?,.・「」『』（）()…ー〜~]/g, '');
+}
+
+function normalizeTranslation(text) {
+  return (text ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+function bigrams(text) {
+  const chars = [...text];
+  if (chars.length < 2) return new Set(chars);
+  const grams = new Set();
+  for (let i = 0; i < chars.length - 1; i++) grams.add(chars[i] + chars[i + 1]);
+  return grams;
+}
+
+/**
+ * Dice coefficient of two bigram sets (0 = nothing shared, 1 = identical).
+ */
+function similarity(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  for (const g of a) if (b.has(g)) shared++;
+  return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * Share of the sentence's dictionary words, other than the target itself,
+ * that are JLPT words at or below `jlpt`. Sentences with no other
+ * dictionary words score 1.
+ */
+function coverage(tokens, match, jlpt, jlptMap) {
+  const rank = JLPT_RANK[jlpt] ?? 0;
+  const others = tokens.filter((t) => t.dictionary && (t.end <= match.start || t.start >= match.end));
+  if (others.length === 0) return 1;
+
+  const known = others.filter((t) => {
+    const level = jlptMap.get(t.base) ?? jlptMap.get(t.text);
+    return level && (JLPT_RANK[level] ?? 0) >= rank;
+  });
+  return known.length / others.length;
+}
+
+function lengthScore(text, targetLength) {
+  const length = [...normalizeJapanese(text)].length;
+  return 1 - Math.min(1, Math.abs(length - targetLength) / targetLength);
+}
+
+/**
+ * Rank candidate sentences and pick a diverse set of lessons.
+ *
+ * @param {Array<{ japanese: string, english: string, tokens: object[], match: { start, end, surface } }>} candidates
+ * @param {string} jlpt - Level of the target word, e.g. 'N5'
+ * @param {Map<string, string>} jlptMap - word → JLPT level
+ * @param {object} [lessons] - Count and target length per level
+ * @returns {Array} Selected candidates, best first
+ */
+export function selectExamples(candidates, jlpt, jlptMap, lessons = LESSONS_PER_LEVEL) {
+  const { count, targetLength } = lessons[jlpt] ?? lessons.N1;
+
+  let pool = candidates.map((ex, idx) => ({
+    ex,
+    idx,
+    grams: bigrams(normalizeJapanese(ex.japanese)),
+    translation: normalizeTranslation(ex.english),
+    score:
+      WEIGHTS.coverage * coverage(ex.tokens, ex.match, jlpt, jlptMap) +
+      WEIGHTS.length * lengthScore(ex.japanese, targetLength),
+  }));
+
+  const selected = [];
+  while (selected.length < count && pool.length > 0) {
+    let best = null;
+    for (const c of pool) {
+      const maxSimilarity = Math.max(0, ...selected.map((s) => similarity(c.grams, s.grams)));
+      const repeated = selected.some((s) => s.ex.match.surface === c.ex.match.surface);
+      const adjusted =
+        c.score - WEIGHTS.similarity * maxSimilarity - (repeated ? WEIGHTS.repeatedForm : 0);
+      // Ties keep Tatoeba order so output is stable
+      if (!best || adjusted > best.adjusted || (adjusted === best.adjusted && c.idx < best.c.idx)) {
+        best = { c, adjusted };
+      }
+    }
+
+    selected.push(best.c);
+    pool = pool.filter(
+      (c) =>
+        c !== best.c &&
+        similarity(c.grams, best.c.grams) < NEAR_DUPLICATE &&
+        (!c.translation || c.translation !== best.c.translation)
+    );
+  }
+
+  return selected.map((s) => s.ex);
+}
@@ -0,0 +1,402 @@
+/**
+ * Offline sentence segmenter for furigana.
+ *
+ * Splits a Japanese sentence into tokens by longest match against the JMdict
+ * wordLookup table, undoing verb/adjective inflection with rules derived from
+ * enrich/conjugation.js, and returns a full kana reading plus per-token
+ * furigana spans. Tokens that cannot be resolved, or that read differently
+ * depending on which entry they are, are flagged, never guessed.
+ *
+ * Output shape:
+ *   { reading: string|null, furigana: [{ text, reading, unresolved? }], resolved: boolean }
+ */
+
+import { toHiragana } from 'wanakana';
+import {
+  GODAN_MAP,
+  conjugate,
+  conjugateAdjective,
+  detectVerbClass,
+  detectAdjectiveClass,
+} from './conjugation.js';
+import { isKanji, freqRank } from '../shared.js';
+import { pickReading } from './readings.js';
+
+const MAX_TOKEN_LENGTH = 12;
+const MAX_CHAIN = 4;
+const MARK = '〇';
+
+// Inflected forms that themselves inflect further, and as what
+const CHAINABLE_FORMS = {
+  tai: 'adjective',
+  nai: 'adjective',
+  potential: 'ichidan',
+  passive: 'ichidan',
+  causative: 'ichidan',
+};
+
+// Verb/adjective classes paired with template dictionary forms ([surface, kana])
+const TEMPLATES = [
+  ['ichidan', ['る', 'る']],
+  ['ichidan-kureru', ['る', 'る']],
+  ['ichidan-zuru', ['ずる', 'ずる']],
+  ...['godan', 'godan-iku', 'godan-aru', 'godan-ru-irregular', 'godan-u-special'].flatMap((cls) =>
+    Object.keys(GODAN_MAP).map((ending) => [cls, [ending, ending]])
+  ),
+  ['suru', ['する', 'する']],
+  ['suru-special', ['する', 'する']],
+  ['kuru', ['来る', 'くる']],
+  ['kuru', ['くる', 'くる']],
+  ['i', ['い', 'い']],
+  ['i-yoi', ['い', 'い']],
+  ['i-yoi', ['いい', 'いい']],
+];
+
+function classGroup(cls) {
+  if (cls.startsWith('ichidan')) return 'ichidan';
+  if (cls === 'i' || cls === 'i-yoi') return 'adjective';
+  return cls;
+}
+
+/**
+ * Reverse rules keyed by inflected suffix, generated by conjugating each
+ * template and diffing every form against the dictionary form.
+ */
+function buildRules() {
+  const rules = new Map();
+  let maxSuffix = 0;
+
+  for (const [cls, [surface, kana]] of TEMPLATES) {
+    const isAdj = cls === 'i' || cls === 'i-yoi';
+    const conj = (w) => (isAdj ? conjugateAdjective(w, cls) : conjugate(w, w, cls));
+    const surfaceForms = conj(MARK + surface);
+    const kanaForms = conj(MARK + kana);
+    if (!surfaceForms || !kanaForms) continue;
+
+    for (const [name, form] of Object.entries(surfaceForms)) {
+      if (name === 'type' || name === 'dictionary') continue;
+      const kanaForm = kanaForms[name];
+      if (!form.startsWith(MARK) || !kanaForm?.startsWith(MARK)) continue;
+      const from = form.slice(1);
+      if (!from || from === surface) continue;
+
+      const rule = {
+        from,
+        to: surface,
+        readingFrom: kanaForm.slice(1),
+        readingTo: kana,
+        requires: cls,
+        produces: CHAINABLE_FORMS[name] ?? null,
+      };
+      const list = rules.get(from) ?? [];
+      if (!list.some((r) => r.to === rule.to && r.requires === rule.requires)) list.push(rule);
+      rules.set(from, list);
+      maxSuffix = Math.max(maxSuffix, from.length);
+    }
+  }
+
+  return { rules, maxSuffix };
+}
+
+const { rules: RULES, maxSuffix: MAX_SUFFIX } = buildRules();
+
+/**
+ * All candidate dictionary forms of an inflected string.
+ * @param {string} text
+ * @param {string|null} produces - Only rules whose inflected form behaves as this group
+ * @param {number} depth
+ * @returns {Array<{ base: string, requires: string, chain: object[] }>}
+ */
+function deinflect(text, produces = null, depth = 0) {
+  const out = [];
+  for (let len = 1; len <= Math.min(MAX_SUFFIX, text.length); len++) {
+    for (const rule of RULES.get(text.slice(-len)) ?? []) {
+      if (produces && rule.produces !== produces) continue;
+      const base = text.slice(0, -len) + rule.to;
+      out.push({ base, requires: rule.requires, chain: [rule] });
+      if (depth + 1 < MAX_CHAIN) {
+        for (const inner of deinflect(base, classGroup(rule.requires), depth + 1)) {
+          out.push({ ...inner, chain: [rule, ...inner.chain] });
+        }
+      }
+    }
+  }
+  return out;
+}
+
+function entryClass(entry) {
+  const pos = entry.senses.flatMap((s) => s.pos);
+  return detectVerbClass(pos) ?? detectAdjectiveClass(pos);
+}
+
+function entriesOf(jmdict, seqs, requires) {
+  return (seqs ?? [])
+    .map((s) => jmdict.entries[s])
+    .filter((e) => e && (!requires || entryClass(e) === requires));
+}
+
+function bestEntry(jmdict, seqs, requires) {
+  return entriesOf(jmdict, seqs, requires).sort((a, b) => b.priority.length - a.priority.length)[0] ?? null;
+}
+
+/**
+ * Re-apply a deinflection chain to the entry's reading, innermost rule first.
+ */
+function inflectReading(reading, chain) {
+  let r = reading;
+  for (const rule of [...chain].reverse()) {
+    if (!r.endsWith(rule.readingTo)) return null;
+    r = r.slice(0, r.length - rule.readingTo.length) + rule.readingFrom;
+  }
+  return r;
+}
+
+function isKanjiLike(ch) {
+  return ch === '々' || isKanji(ch);
+}
+
+// Classes whose own rules only they match (行った → 行く, not 行う)
+const SPECIAL_CLASSES = new Set([
+  'godan-iku', 'godan-aru', 'godan-ru-irregular', 'godan-u-special',
+  'ichidan-kureru', 'ichidan-zuru', 'suru-special', 'i-yoi', 'kuru',
+]);
+
+/**
+ * Every dictionary reading of `text`: entries spelled exactly so, and
+ * entries whose inflection produces it. Each candidate carries its rank:
+ * direct spellings before inflections, shorter rule chains first, then the
+ * spelling's frequency, then special classes (whose rules are specific to
+ * them) before regular ones.
+ */
+function matchCandidates(text, jmdict) {
+  const out = [];
+  const add = (entry, base, chain) => {
+    const baseReading = pickReading(entry, base);
+    const reading = baseReading && inflectReading(baseReading, chain);
+    if (!reading) return;
+    const form = entry.kanjiForms?.find((k) => k.text === base);
+    out.push({
+      base,
+      reading,
+      rank: [
+        chain.length,
+        freqRank(form?.priority ?? entry.priority) ?? Infinity,
+        chain.length > 0 && SPECIAL_CLASSES.has(chain[0].requires) ? 0 : 1,
+      ],
+    });
+  };
+
+  for (const entry of entriesOf(jmdict, jmdict.wordLookup[text], null)) add(entry, text, []);
+  for (const cand of deinflect(text)) {
+    for (const entry of entriesOf(jmdict, jmdict.wordLookup[cand.base], cand.requires)) {
+      add(entry, cand.base, cand.chain);
+    }
+  }
+  return out;
+}
+
+function compareRank(a, b) {
+  for (let k = 0; k < a.rank.length; k++) {
+    if (a.rank[k] !== b.rank[k]) return a.rank[k] - b.rank[k];
+  }
+  return 0;
+}
+
+/**
+ * Whether the kana after a lone kanji read as its own word would make it an
+ * undictionaried verb or adjective (下げろ when only 下 is in JMdict): the
+ * kanji's own reading would then be a guess. Suru verbs are left out, as the
+ * noun's reading holds before する.
+ */
+function takesOkurigana(chars, i) {
+  let end = i + 1;
+  while (end < chars.length && end - i <= MAX_TOKEN_LENGTH && /[\u3041-\u309f]/.test(chars[end])) end++;
+  for (let len = end - i; len > 1; len--) {
+    const text = chars.slice(i, i + len).join('');
+    if (deinflect(text).some((cand) => !cand.requires.startsWith('suru'))) return true;
+  }
+  return false;
+}
+
+/**
+ * Resolve the token starting at chars[i]: the longest substring containing
+ * kanji that is a JMdict headword, directly or after deinflection. All
+ * readings of that substring are ranked (see matchCandidates); when the best
+ * ones disagree, the token is `unresolved` rather than read one way.
+ */
+function longestMatch(chars, i, jmdict) {
+  for (let len = Math.min(MAX_TOKEN_LENGTH, chars.length - i); len >= 1; len--) {
+    const text = chars.slice(i, i + len).join('');
+    if (![...text].some(isKanjiLike)) continue;
+
+    const candidates = matchCandidates(text, jmdict).sort(compareRank);
+    if (candidates.length === 0) continue;
+
+    const top = candidates.filter((c) => compareRank(c, candidates[0]) === 0);
+    const bases = new Set(top.map((c) => c.base));
+    const base = bases.size === 1 ? top[0].base : null;
+    if (new Set(top.map((c) => c.reading)).size > 1) {
+      return { text, base, reading: null, length: len, unresolved: true };
+    }
+    if (len === 1 && takesOkurigana(chars, i)) {
+      return { text, base, reading: null, length: len, unresolved: true };
+    }
+    return { text, base, reading: top[0].reading, length: len };
+  }
+  return null;
+}
+
+const KANA_TEXT = /^[\u3041-\u309f\u30a1-\u30ffー]+$/;
+
+/** Whether an all-kana string is a JMdict reading, directly or after deinflection. */
+function isKanaWord(text, jmdict) {
+  if (bestEntry(jmdict, jmdict.readingLookup[text], null)) return true;
+  return deinflect(text).some((cand) => bestEntry(jmdict, jmdict.readingLookup[cand.base], cand.requires));
+}
+
+/**
+ * The longest JMdict word spelled in kana that contains sentence[start, end)
+ * and is longer than it, or null. The segmenter only tokenises text with
+ * kanji in it, so this is how a kana occurrence is recognised as part of a
+ * longer word: した in いました (いる), いる in はいる (入る).
+ *
+ * @param {string} sentence
+ * @param {number} start - UTF-16 offset
+ * @param {number} end
+ * @param {object} jmdict - JMdict index (entries + readingLookup)
+ * @returns {{ start: number, end: number, text: string }|null}
+ */
+export function enclosingKanaWord(sentence, start, end, jmdict) {
+  let from = start;
+  while (from > 0 && start - from < MAX_TOKEN_LENGTH && KANA_TEXT.test(sentence[from - 1])) from--;
+  let to = end;
+  while (to < sentence.length && to - end < MAX_TOKEN_LENGTH && KANA_TEXT.test(sentence[to])) to++;
+
+  let best = null;
+  for (let s = from; s <= start; s++) {
+    for (let e = to; e >= end; e--) {
+      if ((s === start && e === end) || e - s > MAX_TOKEN_LENGTH) continue;
+      if (best && e - s <= best.end - best.start) break;
+      const text = sentence.slice(s, e);
+      if (KANA_TEXT.test(text) && isKanaWord(text, jmdict)) best = { start: s, end: e, text };
+    }
+  }
+  return best;
+}
+
+/**
+ * Split a token into kanji runs (with readings) and kana runs (without),
+ * e.g. 食べました/たべました → 食:た + べました.
+ */
+function furiganaSpans(text, reading) {
+  const runs = text.match(/[\u3400-\u4dbf\u4e00-\u9fff々]+|[^\u3400-\u4dbf\u4e00-\u9fff々]+/g);
+  const pattern = runs
+    .map((run) =>
+      isKanjiLike(run[0]) ? '(.+?)' : toHiragana(run).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    )
+    .join('');
+  const m = toHiragana(reading).match(new RegExp(`^${pattern}$`));
+  if (!m) return [{ text, reading }];
+
+  let group = 1;
+  return runs.map((run) =>
+    isKanjiLike(run[0]) ? { text: run, reading: m[group++] } : { text: run, reading: null }
+  );
+}
+
+/**
+ * Segment a sentence into tokens with UTF-16 offsets (as used by
+ * String.prototype.slice). Dictionary matches are single tokens with
+ * `dictionary: true` and their dictionary form in `base`; every other character is its own token, with
+ * `unresolved: true` for kanji, digits and Latin letters. Dictionary matches
+ * whose reading is ambiguous (行った: いった or おこなった) are `unresolved`
+ * too, with a null reading, and a null `base` when the candidates differ.
+ *
+ * @param {string} sentence
+ * @param {object} jmdict - JMdict index (entries + wordLookup)
+ * @returns {Array<{ text: string, start: number, end: number, reading: string|null, base?: string, dictionary?: boolean, unresolved?: boolean }>}
+ */
+export function segmentSentence(sentence, jmdict) {
+  const chars = [...sentence];
+  const tokens = [];
+  let offset = 0;
+
+  let i = 0;
+  while (i < chars.length) {
+    const match = longestMatch(chars, i, jmdict);
+    if (match) {
+      tokens.push({
+        text: match.text,
+        start: offset,
+        end: offset + match.text.length,
+        reading: match.reading,
+        base: match.base,
+        dictionary: true,
+        ...(match.unresolved && { unresolved: true }),
+      });
+      offset += match.text.length;
+      i += match.length;
+      continue;
+    }
+
+    const ch = chars[i];
+    const token = { text: ch, start: offset, end: offset + ch.length, reading: null };
+    if (isKanjiLike(ch) || /[0-9０-９A-Za-zＡ-Ｚａ-ｚ]/.test(ch)) token.unresolved = true;
+    tokens.push(token);
+    offset += ch.length;
+    i++;
+  }
+
+  return tokens;
+}
+
+/**
+ * Kana reading and furigana spans of an already segmented sentence.
+ *
+ * Kana and punctuation pass through with a null reading. Kanji, digits and
+ * Latin letters that no JMdict headword covers become `unresolved` spans;
+ * if any exist the sentence reading is null.
+ *
+ * @param {ReturnType<typeof segmentSentence>} tokens
+ * @returns {{ reading: string|null, furigana: Array<{ text: string, reading: string|null, unresolved?: boolean }>, resolved: boolean }}
+ */
+export function annotateTokens(tokens) {
+  const spans = [];
+
+  const pushPlain = (text) => {
+    const last = spans[spans.length - 1];
+    if (last && last.reading === null && !last.unresolved) last.text += text;
+    else spans.push({ text, reading: null });
+  };
+
+  for (const token of tokens) {
+    if (token.unresolved) {
+      spans.push({ text: token.text, reading: null, unresolved: true });
+    } else if (token.dictionary) {
+      for (const span of furiganaSpans(token.text, token.reading)) {
+        if (span.reading === null) pushPlain(span.text);
+        else spans.push(span);
+      }
+    } else {
+      pushPlain(token.text);
+    }
+  }
+
+  const resolved = !spans.some((s) => s.unresolved);
+  return {
+    reading: resolved ? spans.map((s) => s.reading ?? s.text).join('') : null,
+    furigana: spans,
+    resolved,
+  };
+}
+
+/**
+ * Segment a sentence and produce its kana reading and furigana spans.
+ *
+ * @param {string} sentence
+ * @param {object} jmdict - Full JMdict index (entries + wordLookup)
+ * @returns {{ reading: string|null, furigana: Array<{ text: string, reading: string|null, unresolved?: boolean }>, resolved: boolean }}
+ */
+export function annotateSentence(sentence, jmdict) {
+  return annotateTokens(segmentSentence(sentence, jmdict));
+}
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { annotateSentence, segmentSentence, enclosingKanaWord } from './furigana.js';
+
+const GODAN_U = "Godan verb with 'u' ending";
+const GODAN_KU = "Godan verb with 'ku' ending";
+const IKU = 'Godan verb - Iku/Yuku special class';
+const ICHIDAN = 'Ichidan verb';
+const NOUN = 'noun (common) (futsuumeishi)';
+const SURU_NOUN = 'noun or participle which takes the aux. verb suru';
+
+// In-memory stand-in for openJmdict: entries plus the two lookup tables
+function dictionary(rows) {
+  const jmdict = { entries: {}, wordLookup: {}, readingLookup: {} };
+  rows.forEach(([kanji, readings, pos, priority = []], i) => {
+    const seq = String(1000 + i);
+    jmdict.entries[seq] = { seq, kanji, readings, priority, senses: [{ pos, meanings: [], misc: [], field: [] }] };
+    for (const k of kanji) (jmdict.wordLookup[k] ??= []).push(seq);
+    for (const r of readings) (jmdict.readingLookup[r] ??= []).push(seq);
+  });
+  return jmdict;
+}
+
+const BASE = [
+  [['学校'], ['がっこう'], [NOUN], ['ichi1', 'nf01']],
+  [['手'], ['て'], [NOUN], ['ichi1', 'nf01']],
+  [['下'], ['した'], [NOUN], ['ichi1', 'nf01']],
+  [['行く'], ['いく'], [IKU], ['ichi1', 'nf01']],
+  [['行う'], ['おこなう'], [GODAN_U], ['ichi1', 'nf05']],
+  [['勉強'], ['べんきょう'], [NOUN, SURU_NOUN], ['ichi1', 'nf01']],
+];
+
+test('prefers the more frequent verb across inflected bases (行った → 行く)', () => {
+  const result = annotateSentence('学校に行った', dictionary(BASE));
+  assert.equal(result.reading, 'がっこうにいった');
+  assert.equal(result.resolved, true);
+});
+
+test('marks a token unresolved when equally ranked entries read it differently', () => {
+  const jmdict = dictionary([
+    [['開く'], ['あく'], [GODAN_KU], ['ichi1']],
+    [['開く'], ['ひらく'], [GODAN_KU], ['ichi1']],
+  ]);
+  const [token] = segmentSentence('開いた', jmdict);
+  assert.equal(token.unresolved, true);
+  assert.equal(token.reading, null);
+  assert.equal(token.base, '開く');
+  assert.equal(annotateSentence('開いた', jmdict).resolved, false);
+});
+
+test('does not read a lone kanji whose okurigana belong to a missing verb (下げろ)', () => {
+  const result = annotateSentence('手を下げろ', dictionary(BASE));
+  assert.equal(result.resolved, false);
+  assert.equal(result.reading, null);
+  assert.deepEqual(result.furigana[0], { text: '手', reading: 'て' });
+  assert.deepEqual(result.furigana[2], { text: '下', reading: null, unresolved: true });
+});
+
+test('reads the inflected verb when it is in the dictionary (下げろ → 下げる)', () => {
+  const jmdict = dictionary([...BASE, [['下げる'], ['さげる'], [ICHIDAN], ['ichi1']]]);
+  assert.equal(annotateSentence('手を下げろ', jmdict).reading, 'てをさげろ');
+});
+
+test('keeps a noun before する and particles', () => {
+  const jmdict = dictionary(BASE);
+  assert.equal(annotateSentence('勉強します', jmdict).reading, 'べんきょうします');
+  assert.equal(annotateSentence('下に', jmdict).reading, 'したに');
+});
+
+test('finds the kana word around a kana occurrence (いる in はいる)', () => {
+  const jmdict = dictionary([[['入る'], ['はいる'], ["Godan verb with 'ru' ending"], ['ichi1']]]);
+  assert.deepEqual(enclosingKanaWord('家にはいる', 3, 5, jmdict), { start: 2, end: 5, text: 'はいる' });
+  assert.equal(enclosingKanaWord('家にいる', 2, 4, jmdict), null);
+});
@@ -3,13 +3,23 @@
  *
  * Extracts actual Japanese idioms, proverbs, and set phrases from JMdict
  * where the target word appears as part of the expression.
+ *
+ * build-indices.js precomputes an n-gram index of all idiomatic entries
+ * (buildExpressionIndex) so lookups don't scan the dictionary per word.
  */
 
+import { pickSpelling, pickReading } from './readings.js';
+
+// JMdict files set phrases under part of speech, not misc
+const EXPRESSION_POS = /^expressions \(phrases, clauses, etc\.\)$/i;
+
 /**
- * Check if a JMdict entry is an idiomatic expression.
+ * Check if a JMdict entry is an idiomatic expression: an idiom, proverb or
+ * yojijukugo (misc tags), or a set phrase (the `exp` part of speech).
  */
-function isIdiomaticExpression(entry) {
+export function isIdiomaticExpression(entry) {
   for (const sense of entry.senses) {
+    if (sense.pos.some((p) => EXPRESSION_POS.test(p))) return true;
     for (const m of sense.misc) {
       const lower = m.toLowerCase();
       if (
@@ -26,17 +36,85 @@ function isIdiomaticExpression(entry) {
   return false;
 }
 
+/**
+ * Expressions written in kana: no kanji spelling, or usually written in kana.
+ */
+function isKanaExpression(entry) {
+  return (
+    entry.kanji.length === 0 ||
+    (entry.senses[0]?.misc ?? []).some((m) => m.toLowerCase().includes('usually written using kana alone'))
+  );
+}
+
+// ── expression n-gram index ──────────────────
+
+/**
+ * Build the expression index: every idiomatic JMdict entry, searchable by
+ * any substring of any of its spellings or readings. Grams are single
+ * characters and character bigrams, each mapping to a sorted seq list.
+ *
+ * @param {object} entries - JMdict `entries` (seq → entry)
+ * @returns {{ count: number, grams: Object<string, string[]> }}
+ */
+export function buildExpressionIndex(entries) {
+  const grams = {};
+  let count = 0;
+
+  for (const entry of Object.values(entries)) {
+    if (!isIdiomaticExpression(entry)) continue;
+    count++;
+    const seen = new Set();
+    for (const text of [...entry.kanji, ...entry.readings]) {
+      const chars = [...text];
+      for (let i = 0; i < chars.length; i++) {
+        seen.add(chars[i]);
+        if (i + 1 < chars.length) seen.add(chars[i] + chars[i + 1]);
+      }
+    }
+    for (const gram of seen) (grams[gram] ??= []).push(entry.seq);
+  }
+
+  return { count, grams };
+}
+
+/**
+ * Seqs of expressions with a spelling or reading that may contain `text`
+ * (every gram of `text` occurs in the expression). Callers verify the match.
+ */
+function findExpressions(text, expressions) {
+  const chars = [...text];
+  if (chars.length === 0) return [];
+  if (chars.length === 1) return expressions.grams[chars[0]] ?? [];
+
+  const lists = [];
+  for (let i = 0; i + 1 < chars.length; i++) {
+    lists.push(expressions.grams[chars[i] + chars[i + 1]] ?? []);
+  }
+  lists.sort((a, b) => a.length - b.length);
+  let result = new Set(lists[0]);
+  for (const list of lists.slice(1)) {
+    if (result.size === 0) break;
+    const next = new Set(list);
+    result = new Set([...result].filter((seq) => next.has(seq)));
+  }
+  return [...result];
+}
+
 /**
  * Score idiom relevance based on word containment and frequency.
  */
-function scoreIdiom(idiomEntry, sourceWord, sourceFreq) {
+function scoreIdiom(idiomEntry, sourceWord, sourceFreq, matchedBy) {
   let score = 0;
   
-  const idiomWord = idiomEntry.kanji[0] || idiomEntry.readings[0];
+  const idiomWord = pickSpelling(idiomEntry);
   
   // Check if source word is contained in the idiom
   if (idiomWord.includes(sourceWord)) {
     score += 10; // Strong relevance
+  } else if (matchedBy === 'reading') {
+    score += 8; // Kana expression containing the word's reading
+  } else {
+    score += 6; // Contained in an alternative spelling
   }
   
   // Prefer shorter idioms (easier to learn)
@@ -54,56 +132,51 @@ function scoreIdiom(idiomEntry, sourceWord, sourceFreq) {
 /**
  * Extract idioms containing the target word from JMdict.
  *
+ * Candidates come from the precomputed expression index
+ * (indices/japanese/expressions.json): expressions with a spelling that
+ * contains the word, and kana expressions whose reading contains the
+ * word's reading (e.g. よくある for 有る).
+ *
  * @param {string} word - Target word (e.g. '食べる')
- * @param {object} jmdict - Full JMdict index
+ * @param {string} reading - Kana reading of the target word
+ * @param {object} jmdict - JMdict index (entries are read by seq)
+ * @param {object} expressions - Expression index from buildExpressionIndex
  * @param {number} sourceFreq - Frequency rank of source word
- * @param {Set<number>} excludeSeqs - Sequence IDs to exclude (matched entries)
- * @returns {Array<{ word, reading, meaning, type }>}
+ * @param {Set<string>} excludeSeqs - Sequence IDs to exclude (matched entries)
+ * @returns {Array<{ seq, word, reading, meaning, type }>}
  */
-export function extractIdioms(word, jmdict, sourceFreq, excludeSeqs) {
-  const idioms = [];
-  
-  // Search through kanji char index to find expressions containing this word
-  const candidateSeqs = new Set();
-  
-  // Look for idioms that contain the source word
-  for (const ch of word) {
-    if (jmdict.kanjiCharIndex && jmdict.kanjiCharIndex[ch]) {
-      for (const seq of jmdict.kanjiCharIndex[ch]) {
-        if (!excludeSeqs.has(seq)) {
-          candidateSeqs.add(seq);
-        }
-      }
+export function extractIdioms(word, reading, jmdict, expressions, sourceFreq, excludeSeqs) {
+  // seq → how it matched ('spelling' wins over 'reading')
+  const candidates = new Map();
+
+  for (const seq of findExpressions(word, expressions)) {
+    if (excludeSeqs.has(seq)) continue;
+    const entry = jmdict.entries[seq];
+    if (!entry) continue;
+    if ([...entry.kanji, ...entry.readings].some((t) => t.includes(word))) {
+      candidates.set(seq, 'spelling');
     }
   }
-  
-  // Also check reading lookup
-  if (jmdict.wordLookup) {
-    for (const seq of Object.values(jmdict.wordLookup).flat()) {
+
+  // The reading is only searched when it differs from the word and is long
+  // enough not to match half the dictionary (て for 手).
+  if (reading && reading !== word && [...reading].length >= 2) {
+    for (const seq of findExpressions(reading, expressions)) {
+      if (candidates.has(seq) || excludeSeqs.has(seq)) continue;
       const entry = jmdict.entries[seq];
-      if (!entry || excludeSeqs.has(seq)) continue;
-      
-      const entryWord = entry.kanji[0] || entry.readings[0];
-      if (entryWord.includes(word)) {
-        candidateSeqs.add(seq);
+      if (!entry || !isKanaExpression(entry)) continue;
+      if (entry.readings.some((t) => t.includes(reading))) {
+        candidates.set(seq, 'reading');
       }
     }
   }
   
   // Filter and score idioms
   const scoredIdioms = [];
-  for (const seq of candidateSeqs) {
+  for (const [seq, matchedBy] of candidates) {
     const entry = jmdict.entries[seq];
-    if (!entry) continue;
-    
-    // Must be an idiomatic expression
-    if (!isIdiomaticExpression(entry)) continue;
-    
-    // Must contain the source word
-    const idiomWord = entry.kanji[0] || entry.readings[0];
-    if (!idiomWord.includes(word)) continue;
-    
-    const score = scoreIdiom(entry, word, sourceFreq);
+    const idiomWord = pickSpelling(entry);
+    const score = scoreIdiom(entry, word, sourceFreq, matchedBy);
     
     // Determine idiom type from misc tags
     let type = 'expression';
@@ -125,19 +198,21 @@ export function extractIdioms(word, jmdict, sourceFreq, excludeSeqs) {
     }
     
     scoredIdioms.push({
+      seq,
       word: idiomWord,
-      reading: entry.readings[0],
+      reading: pickReading(entry, idiomWord),
       meaning: entry.senses[0]?.meanings[0] || '',
       type,
       score,
     });
   }
   
-  // Sort by score and limit to top 10
+  // Sort by score (ties in seq order) and limit to top 10
   return scoredIdioms
-    .sort((a, b) => b.score - a.score)
+    .sort((a, b) => b.score - a.score || Number(a.seq) - Number(b.seq))
     .slice(0, 10)
-    .map(({ word, reading, meaning, type }) => ({
+    .map(({ seq, word, reading, meaning, type }) => ({
+      seq,
       word,
       reading,
       meaning,
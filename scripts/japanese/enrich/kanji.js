@@ -0,0 +1,201 @@
+/**
+ * Per-character kanji breakdown.
+ *
+ * Builds one record per kanji in a headword from KANJIDIC2 and aligns the
+ * word's kana reading to its kanji, so each record shows which reading is
+ * used in this particular word (手 as て in 手紙, as しゅ in 歌手).
+ */
+
+import { toHiragana } from 'wanakana';
+import { classicalRadical } from './radicals.js';
+import { isKanji } from '../shared.js';
+
+const RENDAKU = {
+  か: 'が', き: 'ぎ', く: 'ぐ', け: 'げ', こ: 'ご',
+  さ: 'ざ', し: 'じ', す: 'ず', せ: 'ぜ', そ: 'ぞ',
+  た: 'だ', ち: 'ぢ', つ: 'づ', て: 'で', と: 'ど',
+  は: 'ば', ひ: 'び', ふ: 'ぶ', へ: 'べ', ほ: 'ぼ',
+};
+const HANDAKU = { は: 'ぱ', ひ: 'ぴ', ふ: 'ぷ', へ: 'ぺ', ほ: 'ぽ' };
+const SOKUON_FINALS = ['つ', 'く', 'ち', 'き'];
+
+function isKanjiSegment(seg) {
+  return seg.text === '々' || isKanji(seg.text);
+}
+
+/**
+ * All spellings a kanji reading can take inside a word:
+ * the base form plus rendaku (voiced first mora) and sokuon (final っ).
+ */
+function readingVariants(base) {
+  const variants = new Set([base]);
+  const first = base[0];
+  if (RENDAKU[first]) variants.add(RENDAKU[first] + base.slice(1));
+  if (HANDAKU[first]) variants.add(HANDAKU[first] + base.slice(1));
+  if (base.length > 1 && SOKUON_FINALS.includes(base.slice(-1))) {
+    for (const v of [...variants]) variants.add(v.slice(0, -1) + 'っ');
+  }
+  if (first === 'じ') variants.add('ぢ' + base.slice(1));
+  if (first === 'ず') variants.add('づ' + base.slice(1));
+  return [...variants];
+}
+
+/**
+ * Candidate readings for one kanji, as hiragana, tagged on/kun.
+ * Kunyomi are tried both without okurigana (た.べる → た) and with it
+ * (か.つ → かつ → かっ in 勝手); affix markers (-て) are stripped.
+ */
+function kanjiReadings(k) {
+  const out = [];
+  const seen = new Set();
+  const add = (kana, type) => {
+    for (const v of readingVariants(kana)) {
+      if (!v || seen.has(v)) continue;
+      seen.add(v);
+      out.push({ kana: v, type });
+    }
+  };
+  for (const r of k.kunyomi ?? []) {
+    const bare = r.replace(/-/g, '');
+    add(bare.split('.')[0], 'kunyomi');
+    add(bare.replace('.', ''), 'kunyomi');
+  }
+  for (const r of k.onyomi ?? []) {
+    add(toHiragana(r.replace(/-/g, '')), 'onyomi');
+  }
+  return out;
+}
+
+/**
+ * Align a kana reading to the characters of a word.
+ *
+ * Kana in the word must match the reading exactly; each kanji consumes one
+ * of its KANJIDIC2 readings. Kanji whose reading is not in KANJIDIC2
+ * (jukujikun such as 今日, ateji) may consume any span, but then the whole
+ * run of adjacent kanji is reported with null readings rather than a guessed
+ * split (明日 is not あ + した). Kana segments always carry a null reading.
+ *
+ * @param {string} word     - Headword (e.g. 手紙)
+ * @param {string} reading  - Kana reading (e.g. てがみ)
+ * @param {object} kanjidic2 - KANJIDIC2 index keyed by character
+ * @returns {Array<{ text: string, reading: string|null, type: 'onyomi'|'kunyomi'|null }>|null}
+ *          One segment per character, or null when the reading cannot be aligned
+ */
+export function alignReading(word, reading, kanjidic2) {
+  const chars = [...word];
+  const kana = toHiragana(reading);
+  const memo = new Map();
+
+  // Returns { score, segments } for the best alignment of chars[i..] to kana[j..]
+  function solve(i, j) {
+    if (i === chars.length) return j === kana.length ? { score: 0, segments: [] } : null;
+    const key = `${i}:${j}`;
+    if (memo.has(key)) return memo.get(key);
+
+    let ch = chars[i];
+    let best = null;
+    const consider = (len, type, matched) => {
+      const rest = solve(i + 1, j + len);
+      if (!rest) return;
+      const score = rest.score + (matched ? 1 : 0);
+      if (!best || score > best.score) {
+        best = {
+          score,
+          segments: [{ text: chars[i], reading: matched ? kana.slice(j, j + len) : null, type }, ...rest.segments],
+        };
+      }
+    };
+
+    if (ch === '々' && i > 0) ch = chars[i - 1];
+
+    if (!isKanji(ch)) {
+      if (toHiragana(ch) === kana[j]) consider(1, null, false);
+      memo.set(key, best);
+      return best;
+    }
+
+    const k = kanjidic2[ch];
+    if (k) {
+      for (const r of kanjiReadings(k)) {
+        if (kana.startsWith(r.kana, j)) consider(r.kana.length, r.type, true);
+      }
+    }
+    // Fallback: irregular reading of unknown length
+    for (let len = 1; len <= kana.length - j; len++) consider(len, null, false);
+
+    memo.set(key, best);
+    return best;
+  }
+
+  const segments = solve(0, 0)?.segments;
+  if (!segments) return null;
+
+  // Null out every kanji run that contains an unmatched kanji
+  for (let start = 0; start < segments.length; ) {
+    if (!isKanjiSegment(segments[start])) {
+      start++;
+      continue;
+    }
+    let end = start;
+    while (end < segments.length && isKanjiSegment(segments[end])) end++;
+    const run = segments.slice(start, end);
+    if (run.some((s) => s.reading === null)) {
+      for (const s of run) {
+        s.reading = null;
+        s.type = null;
+      }
+    }
+    start = end;
+  }
+
+  return segments;
+}
+
+/**
+ * Build the kanji breakdown for a headword.
+ *
+ * @param {string} word       - Headword (e.g. 手紙)
+ * @param {string} reading    - Kana reading (e.g. てがみ)
+ * @param {object} kanjidic2  - KANJIDIC2 index keyed by character
+ * @param {string} lang       - Locale code. Meanings are KANJIDIC2's in that language
+ *        (its m_lang codes are the locale codes); where it has none, the English
+ *        ones with meaningSource 'english-fallback'. Only non-English locales get meaningSource.
+ * @param {{ strokes?: object, components?: object }} [extra] - KanjiVG stroke order
+ *        (enrich/strokes.js) and KRADFILE components (enrich/radicals.js), keyed by character
+ * @returns {Array<{ character, meanings, meaningSource?, onyomi, kunyomi, strokeCount, grade, jlpt,
+ *          frequency, radical, components, reading, readingType, strokeOrder }>}
+ */
+export function buildKanjiBreakdown(word, reading, kanjidic2, lang, { strokes, components } = {}) {
+  const alignment = alignReading(word, reading, kanjidic2) ?? [];
+  const seen = new Set();
+  const out = [];
+
+  for (const ch of word) {
+    if (!isKanji(ch) || seen.has(ch)) continue;
+    seen.add(ch);
+    const k = kanjidic2[ch];
+    if (!k) continue;
+
+    const seg = alignment.find((s) => s.text === ch);
+    const localized = lang === 'en' ? null : k.localizedMeanings?.[lang];
+
+    out.push({
+      character: ch,
+      meanings: localized ?? k.meanings,
+      ...(lang !== 'en' && { meaningSource: localized ? 'kanjidic2' : 'english-fallback' }),
+      onyomi: k.onyomi,
+      kunyomi: k.kunyomi,
+      strokeCount: k.strokeCount,
+      grade: k.grade,
+      jlpt: k.jlpt,
+      frequency: k.frequency,
+      radical: classicalRadical(k.radical),
+      components: components?.[ch] ?? [],
+      reading: seg?.reading ?? null,
+      readingType: seg?.type ?? null,
+      strokeOrder: strokes?.[ch] ?? null,
+    });
+  }
+
+  return out;
+}
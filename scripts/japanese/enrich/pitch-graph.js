@@ -0,0 +1,95 @@
+/**
+ * Pitch accent graphs as standalone SVG.
+ *
+ * The classic dot-and-line diagram: one column per mora plus one for the
+ * particle that follows the word, a dot at the high or low line for each,
+ * lines joining them, mora labels underneath and a marker on the mora after
+ * which the pitch drops. The particle dot is hollow and unlabelled.
+ *
+ * Graphs depend only on the morae and the pattern, so files are named after
+ * them (`はし_2.svg`) and shared by every word with that reading and accent.
+ * Everything is drawn in `currentColor`; elements carry classes (`mora`,
+ * `particle`, `downstep`, `label`) for apps that want to restyle them.
+ */
+
+const STEP = 32; // horizontal distance between columns
+const PAD = 16;
+const HIGH = 14;
+const LOW = 42;
+const LABEL = 70;
+const HEIGHT = 80;
+const RADIUS = 5;
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/** File name of the graph for a reading's morae and an accent position. */
+export function pitchGraphFile(morae, pattern) {
+  return `${morae.join('')}_${pattern}.svg`;
+}
+
+/**
+ * Render one pattern of a word.
+ *
+ * @param {string[]} morae - From splitMorae
+ * @param {{ pattern: number, type: string, heights: string[], particle: string }} accent - From lookupPitch
+ * @returns {string} SVG document
+ */
+export function renderPitchGraph(morae, { pattern, type, heights, particle }) {
+  const points = [...heights, particle].map((h, i) => ({ x: PAD + i * STEP, y: h === 'H' ? HIGH : LOW }));
+  const width = PAD * 2 + (points.length - 1) * STEP;
+  const label = `${morae.join('')} [${pattern}] ${type}`;
+
+  const parts = [];
+  const labels = [];
+
+  // Lines stop at the dot edges so the hollow particle dot stays hollow
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const len = Math.hypot(b.x - a.x, b.y - a.y);
+    const dx = ((b.x - a.x) / len) * RADIUS;
+    const dy = ((b.y - a.y) / len) * RADIUS;
+    parts.push(
+      `<line x1="${round(a.x + dx)}" y1="${round(a.y + dy)}" x2="${round(b.x - dx)}" y2="${round(b.y - dy)}"/>`
+    );
+  }
+
+  points.forEach(({ x, y }, i) => {
+    const isParticle = i === points.length - 1;
+    parts.push(
+      `<circle class="${isParticle ? 'particle' : 'mora'}" cx="${x}" cy="${y}" r="${RADIUS}" fill="${isParticle ? 'none' : 'currentColor'}"/>`
+    );
+  });
+
+  // Downstep: a notch right of the accented mora, which is always high
+  if (pattern > 0) {
+    const { x } = points[pattern - 1];
+    const nx = x + STEP / 2;
+    parts.push(
+      `<polyline class="downstep" points="${nx - 4},${HIGH - 6} ${nx},${HIGH - 6} ${nx},${HIGH + 4}" fill="none"/>`
+    );
+  }
+
+  morae.forEach((mora, i) => {
+    labels.push(`<text class="label" x="${points[i].x}" y="${LABEL}">${escapeXml(mora)}</text>`);
+  });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${HEIGHT}" viewBox="0 0 ${width} ${HEIGHT}" role="img" aria-label="${escapeXml(label)}">`,
+    `<title>${escapeXml(label)}</title>`,
+    '<g stroke="currentColor" stroke-width="2" stroke-linecap="round">',
+    ...parts.map((p) => `  ${p}`),
+    '</g>',
+    '<g fill="currentColor" font-family="sans-serif" font-size="16" text-anchor="middle">',
+    ...labels.map((l) => `  ${l}`),
+    '</g>',
+    '</svg>',
+    '',
+  ].join('\n');
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
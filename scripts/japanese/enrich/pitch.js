@@ -1,7 +1,9 @@
 /**
  * Pitch accent lookup module.
- * Loads a pitch-accents.json dictionary keyed by hiragana reading,
- * returns { pattern, type } or null if not found.
+ * Loads indices/japanese/pitch.json (built by build-indices.js from a
+ * Kanjium-style accents.txt) keyed by word + reading, so homophones such as
+ * 橋 / 箸 / 端 (all はし) get their own patterns. A word may have several
+ * accepted patterns; all are kept, in the order the source lists them.
  *
  * Pitch types:
  *   heiban    (0)       — flat, no accent drop
@@ -12,34 +14,133 @@
 
 import { readFileSync, existsSync } from 'node:fs';
 import { join } from 'node:path';
+import { toHiragana } from 'wanakana';
 
 let pitchDict = null;
+// reading → distinct pattern lists of every word with that reading
+let byReading = null;
+
+// Small kana that belong to the preceding mora (っ, ん and ー are morae of their own)
+const SMALL_KANA = new Set('ゃゅょぁぃぅぇぉゎャュョァィゥェォヮ');
+
+/** Index key of a word + reading. */
+export function pitchKey(word, reading) {
+  return `${word}\t${toHiragana(reading)}`;
+}
+
+/**
+ * Parse the pattern column of accents.txt ("0", "2,0", "(名)0,(副)1") into
+ * distinct accent positions, in the order given.
+ * @param {string} column
+ * @returns {number[]}
+ */
+export function parsePatterns(column) {
+  const patterns = [];
+  for (const part of column.split(',')) {
+    const m = part.replace(/\(.*?\)/g, '').match(/\d+/);
+    if (m && !patterns.includes(Number(m[0]))) patterns.push(Number(m[0]));
+  }
+  return patterns;
+}
 
 /**
- * Load pitch accent dictionary from data directory.
- * @param {string} dataDir - Path to data/japanese/
+ * Load the pitch index.
+ * @param {string} indicesDir - Path to indices/japanese/
+ * @param {{ quiet?: boolean }} [options] - quiet: no log output (build workers)
  */
-export function loadPitchDict(dataDir) {
-  const pitchPath = join(dataDir, 'pitch-accents.json');
+export function loadPitchDict(indicesDir, { quiet = false } = {}) {
+  const pitchPath = join(indicesDir, 'pitch.json');
   if (!existsSync(pitchPath)) {
-    console.log('  Pitch data not found — pitch will be null.');
+    if (!quiet) console.log('  Pitch index not found — pitch will be null.');
     return;
   }
-  const raw = JSON.parse(readFileSync(pitchPath, 'utf-8'));
-  pitchDict = {};
-  for (const [key, val] of Object.entries(raw)) {
-    if (key.startsWith('_')) continue;
-    pitchDict[key] = val;
+  pitchDict = JSON.parse(readFileSync(pitchPath, 'utf-8'));
+  byReading = new Map();
+  for (const [key, patterns] of Object.entries(pitchDict)) {
+    const reading = key.slice(key.indexOf('\t') + 1);
+    if (!byReading.has(reading)) byReading.set(reading, new Set());
+    byReading.get(reading).add(patterns.join(','));
   }
-  console.log(`  Pitch data: ${Object.keys(pitchDict).length} entries.`);
+  if (!quiet) console.log(`  Pitch data: ${Object.keys(pitchDict).length} entries.`);
+}
+
+/** Whether a pitch index is loaded. */
+export function hasPitchData() {
+  return pitchDict !== null;
 }
 
 /**
- * Look up pitch accent for a reading.
- * @param {string} reading - Hiragana reading
- * @returns {{ pattern: number, type: string }|null}
+ * Split a kana reading into morae: きょう → [きょ, う], がっこう → [が, っ, こ, う].
+ * @param {string} reading
+ * @returns {string[]}
  */
-export function lookupPitch(reading) {
-  if (!pitchDict) return null;
-  return pitchDict[reading] ?? null;
+export function splitMorae(reading) {
+  const morae = [];
+  for (const ch of reading) {
+    if (SMALL_KANA.has(ch) && morae.length > 0) morae[morae.length - 1] += ch;
+    else morae.push(ch);
+  }
+  return morae;
+}
+
+/** Pattern type for an accent position in a word of `count` morae. */
+export function pitchType(pattern, count) {
+  if (pattern === 0) return 'heiban';
+  if (pattern === 1) return 'atamadaka';
+  if (pattern === count) return 'odaka';
+  return 'nakadaka';
+}
+
+/**
+ * Per-mora heights for an accent position, plus the height of a following
+ * particle (which tells heiban and odaka apart).
+ * @returns {{ heights: Array<'H'|'L'>, particle: 'H'|'L' }}
+ */
+export function pitchHeights(pattern, count) {
+  const heights = [];
+  for (let i = 1; i <= count; i++) {
+    if (pattern === 1) heights.push(i === 1 ? 'H' : 'L');
+    else if (i === 1) heights.push('L');
+    else heights.push(pattern === 0 || i <= pattern ? 'H' : 'L');
+  }
+  return { heights, particle: pattern === 0 ? 'H' : 'L' };
+}
+
+/**
+ * Look up the pitch accent of a word. The word + reading entry is used when
+ * there is one; otherwise the reading alone, but only when every word with
+ * that reading is accented the same way.
+ *
+ * `source` identifies the dataset entry used: its surface (null when only the
+ * reading matched), its reading and its accent column as listed ("2,0").
+ *
+ * @param {string} word - Surface form (e.g. '橋')
+ * @param {string} reading - Kana reading
+ * @returns {{ morae: string[], patterns: Array<{ pattern: number, type: string, heights: string[], particle: string }>,
+ *   source: { word: string|null, reading: string, accent: string } }|null}
+ */
+export function lookupPitch(word, reading) {
+  if (!pitchDict || !reading) return null;
+
+  let patterns = pitchDict[pitchKey(word, reading)];
+  const matched = patterns ? word : null;
+  if (!patterns) {
+    const candidates = byReading.get(toHiragana(reading));
+    if (candidates?.size !== 1) return null;
+    patterns = [...candidates][0].split(',').map(Number);
+  }
+
+  // Positions past the last mora come from a mismatched reading; drop them
+  const morae = splitMorae(reading);
+  const valid = patterns.filter((p) => p <= morae.length);
+  if (valid.length === 0) return null;
+  return {
+    morae,
+    patterns: valid.map((pattern) => ({
+      pattern,
+      type: pitchType(pattern, morae.length),
+      ...pitchHeights(pattern, morae.length),
+    })),
+    source: { word: matched, reading: toHiragana(reading), accent: patterns.join(',') },
+  };
 }
@@ -0,0 +1,136 @@
+/**
+ * Radicals and visual components.
+ *
+ * Two different things learners call "radicals":
+ *   - the classical (Kangxi) radical a kanji is filed under in dictionaries:
+ *     KANJIDIC2's `rad_value rad_type="classical"`, a number from 1 to 214,
+ *     named and glossed from the table below
+ *   - the visual components a kanji is drawn from, from EDRDG's KRADFILE
+ *     (kanji → components) and RADKFILE (component → stroke count), used for
+ *     "find kanji by parts" and mnemonics
+ *
+ * build-indices.js reduces KRADFILE/RADKFILE to indices/japanese/components.json:
+ *
+ *   { components: { [component]: { strokes } }, kanji: { [kanji]: component[] } }
+ */
+
+/**
+ * The 214 Kangxi radicals: character, Japanese name and English meaning.
+ * Characters are the forms used in Japan (戸 not 戶, 麦 not 麥, 歯 not 齒).
+ */
+export const KANGXI_RADICALS = [
+  ['一', 'いち', 'one'], ['丨', 'ぼう', 'line'], ['丶', 'てん', 'dot'], ['丿', 'の', 'slash'],
+  ['乙', 'おつ', 'second'], ['亅', 'はねぼう', 'hook'], ['二', 'に', 'two'], ['亠', 'なべぶた', 'lid'],
+  ['人', 'ひと', 'person'], ['儿', 'にんにょう', 'legs'], ['入', 'いる', 'enter'], ['八', 'はち', 'eight'],
+  ['冂', 'けいがまえ', 'down box'], ['冖', 'わかんむり', 'cover'], ['冫', 'にすい', 'ice'], ['几', 'つくえ', 'table'],
+  ['凵', 'うけばこ', 'open box'], ['刀', 'かたな', 'knife'], ['力', 'ちから', 'power'], ['勹', 'つつみがまえ', 'wrap'],
+  ['匕', 'さじ', 'spoon'], ['匚', 'はこがまえ', 'box'], ['匸', 'かくしがまえ', 'hiding enclosure'], ['十', 'じゅう', 'ten'],
+  ['卜', 'ぼく', 'divination'], ['卩', 'ふしづくり', 'seal'], ['厂', 'がんだれ', 'cliff'], ['厶', 'む', 'private'],
+  ['又', 'また', 'again'], ['口', 'くち', 'mouth'], ['囗', 'くにがまえ', 'enclosure'], ['土', 'つち', 'earth'],
+  ['士', 'さむらい', 'scholar'], ['夂', 'ふゆがしら', 'go'], ['夊', 'すいにょう', 'go slowly'], ['夕', 'ゆうべ', 'evening'],
+  ['大', 'だい', 'big'], ['女', 'おんな', 'woman'], ['子', 'こ', 'child'], ['宀', 'うかんむり', 'roof'],
+  ['寸', 'すん', 'inch'], ['小', 'しょう', 'small'], ['尢', 'だいのまげあし', 'lame'], ['尸', 'しかばね', 'corpse'],
+  ['屮', 'てつ', 'sprout'], ['山', 'やま', 'mountain'], ['巛', 'かわ', 'river'], ['工', 'たくみ', 'work'],
+  ['己', 'おのれ', 'oneself'], ['巾', 'はば', 'cloth'], ['干', 'かん', 'dry'], ['幺', 'いとがしら', 'short thread'],
+  ['广', 'まだれ', 'dotted cliff'], ['廴', 'えんにょう', 'long stride'], ['廾', 'にじゅうあし', 'two hands'], ['弋', 'しきがまえ', 'shoot'],
+  ['弓', 'ゆみ', 'bow'], ['彐', 'けいがしら', 'snout'], ['彡', 'さんづくり', 'bristle'], ['彳', 'ぎょうにんべん', 'step'],
+  ['心', 'こころ', 'heart'], ['戈', 'ほこづくり', 'halberd'], ['戸', 'と', 'door'], ['手', 'て', 'hand'],
+  ['支', 'しにょう', 'branch'], ['攴', 'ぼくにょう', 'rap'], ['文', 'ぶん', 'script'], ['斗', 'とます', 'dipper'],
+  ['斤', 'おのづくり', 'axe'], ['方', 'ほう', 'square'], ['无', 'むにょう', 'not'], ['日', 'にち', 'sun'],
+  ['曰', 'ひらび', 'say'], ['月', 'つき', 'moon'], ['木', 'き', 'tree'], ['欠', 'あくび', 'lack'],
+  ['止', 'とめる', 'stop'], ['歹', 'がつへん', 'death'], ['殳', 'るまた', 'weapon'], ['毋', 'なかれ', 'do not'],
+  ['比', 'くらべる', 'compare'], ['毛', 'け', 'fur'], ['氏', 'うじ', 'clan'], ['气', 'きがまえ', 'steam'],
+  ['水', 'みず', 'water'], ['火', 'ひ', 'fire'], ['爪', 'つめ', 'claw'], ['父', 'ちち', 'father'],
+  ['爻', 'こう', 'double x'], ['爿', 'しょうへん', 'split wood'], ['片', 'かた', 'slice'], ['牙', 'きば', 'fang'],
+  ['牛', 'うし', 'cow'], ['犬', 'いぬ', 'dog'], ['玄', 'げん', 'profound'], ['玉', 'たま', 'jade'],
+  ['瓜', 'うり', 'melon'], ['瓦', 'かわら', 'tile'], ['甘', 'あまい', 'sweet'], ['生', 'うまれる', 'life'],
+  ['用', 'もちいる', 'use'], ['田', 'た', 'field'], ['疋', 'ひき', 'bolt of cloth'], ['疒', 'やまいだれ', 'sickness'],
+  ['癶', 'はつがしら', 'footsteps'], ['白', 'しろ', 'white'], ['皮', 'けがわ', 'skin'], ['皿', 'さら', 'dish'],
+  ['目', 'め', 'eye'], ['矛', 'ほこ', 'spear'], ['矢', 'や', 'arrow'], ['石', 'いし', 'stone'],
+  ['示', 'しめす', 'altar'], ['禸', 'ぐうのあし', 'track'], ['禾', 'のぎ', 'grain'], ['穴', 'あな', 'cave'],
+  ['立', 'たつ', 'stand'], ['竹', 'たけ', 'bamboo'], ['米', 'こめ', 'rice'], ['糸', 'いと', 'thread'],
+  ['缶', 'ほとぎ', 'jar'], ['网', 'あみがしら', 'net'], ['羊', 'ひつじ', 'sheep'], ['羽', 'はね', 'feather'],
+  ['老', 'おいかんむり', 'old'], ['而', 'しこうして', 'and'], ['耒', 'すきへん', 'plow'], ['耳', 'みみ', 'ear'],
+  ['聿', 'ふでづくり', 'brush'], ['肉', 'にく', 'meat'], ['臣', 'しん', 'minister'], ['自', 'みずから', 'self'],
+  ['至', 'いたる', 'arrive'], ['臼', 'うす', 'mortar'], ['舌', 'した', 'tongue'], ['舛', 'まいあし', 'oppose'],
+  ['舟', 'ふね', 'boat'], ['艮', 'こんづくり', 'stopping'], ['色', 'いろ', 'color'], ['艸', 'くさ', 'grass'],
+  ['虍', 'とらがしら', 'tiger'], ['虫', 'むし', 'insect'], ['血', 'ち', 'blood'], ['行', 'ぎょうがまえ', 'go'],
+  ['衣', 'ころも', 'clothes'], ['襾', 'にし', 'west'], ['見', 'みる', 'see'], ['角', 'つの', 'horn'],
+  ['言', 'ことば', 'speech'], ['谷', 'たに', 'valley'], ['豆', 'まめ', 'bean'], ['豕', 'いのこ', 'pig'],
+  ['豸', 'むじなへん', 'badger'], ['貝', 'かい', 'shell'], ['赤', 'あか', 'red'], ['走', 'はしる', 'run'],
+  ['足', 'あし', 'foot'], ['身', 'み', 'body'], ['車', 'くるま', 'cart'], ['辛', 'からい', 'bitter'],
+  ['辰', 'しんのたつ', 'morning'], ['辵', 'しんにょう', 'walk'], ['邑', 'むら', 'town'], ['酉', 'ひよみのとり', 'wine'],
+  ['釆', 'のごめ', 'distinguish'], ['里', 'さと', 'village'], ['金', 'かね', 'metal'], ['長', 'ながい', 'long'],
+  ['門', 'もん', 'gate'], ['阜', 'おか', 'mound'], ['隶', 'れいづくり', 'slave'], ['隹', 'ふるとり', 'short-tailed bird'],
+  ['雨', 'あめ', 'rain'], ['青', 'あお', 'blue'], ['非', 'あらず', 'wrong'], ['面', 'めん', 'face'],
+  ['革', 'かくのかわ', 'leather'], ['韋', 'なめしがわ', 'tanned leather'], ['韭', 'にら', 'leek'], ['音', 'おと', 'sound'],
+  ['頁', 'おおがい', 'head'], ['風', 'かぜ', 'wind'], ['飛', 'とぶ', 'fly'], ['食', 'しょく', 'eat'],
+  ['首', 'くび', 'neck'], ['香', 'かおり', 'fragrant'], ['馬', 'うま', 'horse'], ['骨', 'ほね', 'bone'],
+  ['高', 'たかい', 'tall'], ['髟', 'かみがしら', 'hair'], ['鬥', 'とうがまえ', 'fight'], ['鬯', 'ちょう', 'herbs'],
+  ['鬲', 'かなえ', 'cauldron'], ['鬼', 'おに', 'ghost'], ['魚', 'うお', 'fish'], ['鳥', 'とり', 'bird'],
+  ['鹵', 'しお', 'salt'], ['鹿', 'しか', 'deer'], ['麦', 'むぎ', 'wheat'], ['麻', 'あさ', 'hemp'],
+  ['黄', 'き', 'yellow'], ['黍', 'きび', 'millet'], ['黒', 'くろ', 'black'], ['黹', 'ふつ', 'embroidery'],
+  ['黽', 'べん', 'frog'], ['鼎', 'かなえ', 'tripod'], ['鼓', 'つづみ', 'drum'], ['鼠', 'ねずみ', 'rat'],
+  ['鼻', 'はな', 'nose'], ['斉', 'せい', 'even'], ['歯', 'は', 'tooth'], ['竜', 'りゅう', 'dragon'],
+  ['亀', 'かめ', 'turtle'], ['龠', 'やく', 'flute'],
+];
+
+/**
+ * RADKFILE stands in for components that JIS X 0208 cannot encode with a
+ * kanji containing them (化 for 亻, 汁 for 氵); these are replaced by the
+ * component itself so apps can show it.
+ */
+const SUBSTITUTES = {
+  化: '亻', 个: '𠆢', 并: '丷', 刈: '刂', 込: '辶', 尚: '⺌', 忙: '忄', 扎: '扌',
+  汁: '氵', 犯: '犭', 艾: '艹', 邦: '⻏', 阡: '阝', 老: '耂', 杰: '灬', 礼: '礻',
+  疔: '疒', 禹: '禸', 初: '衤', 買: '罒', 滴: '啇', 乞: '𠂉',
+};
+
+function component(text) {
+  return SUBSTITUTES[text] ?? text;
+}
+
+/**
+ * Classical radical by number.
+ * @param {number|null} number - KANJIDIC2 classical rad_value (1–214)
+ * @returns {{ number: number, character: string, name: string, meaning: string }|null}
+ */
+export function classicalRadical(number) {
+  const radical = KANGXI_RADICALS[number - 1];
+  if (!radical) return null;
+  const [character, name, meaning] = radical;
+  return { number, character, name, meaning };
+}
+
+/**
+ * Parse a KRADFILE (already decoded from EUC-JP): `亜 : ｜ 一 口` per line,
+ * `#` comments.
+ * @param {string} text
+ * @returns {Object<string, string[]>} Components per kanji
+ */
+export function parseKradfile(text) {
+  const kanji = {};
+  for (const line of text.split('\n')) {
+    if (line.startsWith('#') || !line.includes(' : ')) continue;
+    const [ch, parts] = line.split(' : ');
+    kanji[ch.trim()] = parts.trim().split(/\s+/).map(component);
+  }
+  return kanji;
+}
+
+/**
+ * Parse a RADKFILE (already decoded from EUC-JP): `$ 一 1` opens each
+ * component with its stroke count, followed by lines of the kanji using it.
+ * Only the stroke counts are kept; KRADFILE already has the membership.
+ * @param {string} text
+ * @returns {Object<string, { strokes: number }>}
+ */
+export function parseRadkfile(text) {
+  const components = {};
+  for (const line of text.split('\n')) {
+    if (!line.startsWith('$')) continue;
+    const [, ch, strokes] = line.trim().split(/\s+/);
+    components[component(ch)] = { strokes: Number(strokes) };
+  }
+  return components;
+}
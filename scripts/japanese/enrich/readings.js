@@ -0,0 +1,167 @@
+/**
+ * Spelling/reading pairing from JMdict restrictions.
+ *
+ * A JMdict entry lists its kanji forms and readings separately; a reading
+ * may be restricted to some spellings (re_restr), belong to no spelling at
+ * all (re_nokanji), and either kind of form may be flagged irregular, rare,
+ * outdated or search-only (ke_inf/re_inf). These helpers pick the reading
+ * that actually belongs to a displayed spelling and list the alternatives.
+ *
+ * Entries are index entries with `kanjiForms` and `readingForms`
+ * ({ text, priority, info, restrict?, noKanji? }); older entries without
+ * them fall back to `kanji` / `readings`.
+ */
+
+import { toHiragana } from 'wanakana';
+
+// ke_inf/re_inf text (DTD entities are expanded in the index) → status
+const STATUS_PATTERNS = [
+  ['search-only', /search-only/i],
+  ['outdated', /out-dated|obsolete/i],
+  ['rare', /rarely used/i],
+  ['irregular', /irregular/i],
+];
+
+/** Status of a form from its info tags, or null for a regular form. */
+export function formStatus(info = []) {
+  for (const [status, re] of STATUS_PATTERNS) {
+    if (info.some((i) => re.test(i))) return status;
+  }
+  return null;
+}
+
+function kanjiForms(entry) {
+  return entry.kanjiForms ?? entry.kanji.map((text) => ({ text, priority: [], info: [] }));
+}
+
+function readingForms(entry) {
+  return entry.readingForms ?? entry.readings.map((text) => ({ text, priority: [], info: [] }));
+}
+
+/**
+ * Comparable form of a JLPT list reading: without notes such as "(かん)" or
+ * the ～ placeholder.
+ */
+export function normalizeListReading(reading) {
+  return (reading ?? '').replace(/\s*[(（].*?[)）]/g, '').replace(/[～〜]/g, '').trim();
+}
+
+/** Kana comparison that ignores hiragana/katakana differences. */
+function sameKana(a, b) {
+  return toHiragana(a) === toHiragana(b);
+}
+
+/**
+ * Readings that belong to `spelling`: for a kanji form, readings without
+ * re_nokanji whose re_restr (if any) includes it; for a kana spelling, the
+ * matching reading itself.
+ */
+export function readingsFor(entry, spelling) {
+  const readings = readingForms(entry);
+  if (!kanjiForms(entry).some((k) => k.text === spelling)) {
+    const own = readings.filter((r) => r.text === spelling);
+    return own.length > 0 ? own : readings;
+  }
+  return readings.filter((r) => !r.noKanji && (!r.restrict || r.restrict.includes(spelling)));
+}
+
+/** Regular forms first, then by number of priority tags; document order otherwise. */
+function rankForms(forms) {
+  return forms
+    .map((form, idx) => ({ form, idx }))
+    .sort(
+      (a, b) =>
+        (formStatus(a.form.info) ? 1 : 0) - (formStatus(b.form.info) ? 1 : 0) ||
+        b.form.priority.length - a.form.priority.length ||
+        a.idx - b.idx
+    )
+    .map(({ form }) => form);
+}
+
+/**
+ * Spelling to display for an entry: `preferred` when it is one of the
+ * entry's kanji forms, else the best regular kanji form, else the first
+ * reading (kana-only entries).
+ *
+ * @param {object} entry
+ * @param {string} [preferred] - e.g. the JLPT list word
+ * @returns {string}
+ */
+export function pickSpelling(entry, preferred) {
+  const forms = kanjiForms(entry);
+  if (preferred && forms.some((k) => k.text === preferred)) return preferred;
+  if (forms.length > 0) return rankForms(forms)[0].text;
+  return entry.readings[0];
+}
+
+/**
+ * Reading to display with `spelling`. A `preferred` reading (the JLPT list
+ * reading) wins when it is allowed for the spelling; otherwise the best
+ * regular reading allowed for it. Readings re_restr/re_nokanji keep from the
+ * spelling are never returned; see pickPair to move to their spelling.
+ *
+ * @param {object} entry
+ * @param {string} spelling
+ * @param {string} [preferred]
+ * @returns {string|undefined}
+ */
+export function pickReading(entry, spelling, preferred) {
+  const allowed = readingsFor(entry, spelling);
+  if (preferred) {
+    const match = allowed.find((r) => sameKana(r.text, preferred));
+    if (match) return match.text;
+  }
+  return rankForms(allowed)[0]?.text ?? entry.readings[0];
+}
+
+/**
+ * Spelling and reading to display together. The preferred reading is kept
+ * whenever the entry has it: with the preferred spelling if that spelling
+ * allows it, else with the best spelling it belongs to, or its own kana for
+ * a re_nokanji reading (a list word whose reading is restricted to another
+ * spelling is shown with that spelling). Without one, the preferred
+ * spelling and its best allowed reading.
+ *
+ * @param {object} entry
+ * @param {string} [preferredSpelling] - e.g. the JLPT list word
+ * @param {string} [preferredReading] - e.g. the JLPT list reading
+ * @returns {{ word: string, reading: string|undefined }}
+ */
+export function pickPair(entry, preferredSpelling, preferredReading) {
+  const word = pickSpelling(entry, preferredSpelling);
+  const match = preferredReading && readingForms(entry).find((r) => sameKana(r.text, preferredReading));
+  if (!match || readingsFor(entry, word).some((r) => r.text === match.text)) {
+    return { word, reading: pickReading(entry, word, preferredReading) };
+  }
+  const owner = rankForms(kanjiForms(entry)).find((k) =>
+    readingsFor(entry, k.text).some((r) => r.text === match.text)
+  );
+  return { word: owner?.text ?? match.text, reading: match.text };
+}
+
+/** Whether the entry has `reading` (hiragana/katakana-insensitive). */
+export function hasReading(entry, reading) {
+  return readingForms(entry).some((r) => sameKana(r.text, reading));
+}
+
+/**
+ * Every other valid spelling/reading pair of the entry, with the status of
+ * the form that makes it unusual (the spelling's, else the reading's).
+ *
+ * @returns {Array<{ word: string, reading: string, status: 'irregular'|'rare'|'outdated'|'search-only'|null }>}
+ */
+export function alternativeForms(entry, spelling, reading) {
+  const out = [];
+  for (const k of kanjiForms(entry)) {
+    for (const r of readingsFor(entry, k.text)) {
+      if (k.text === spelling && r.text === reading) continue;
+      out.push({ word: k.text, reading: r.text, status: formStatus(k.info) ?? formStatus(r.info) });
+    }
+  }
+  for (const r of readingForms(entry)) {
+    const kanaOnly = r.noKanji || kanjiForms(entry).length === 0;
+    if (!kanaOnly || (r.text === spelling && r.text === reading)) continue;
+    out.push({ word: r.text, reading: r.text, status: formStatus(r.info) });
+  }
+  return out;
+}
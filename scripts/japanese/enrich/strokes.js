@@ -0,0 +1,64 @@
+/**
+ * KanjiVG stroke order.
+ *
+ * KanjiVG draws each kanji as one SVG (`kanji/<code point>.svg`, 109 × 109
+ * units): a StrokePaths group holding one `<path>` per stroke, numbered in
+ * writing order (`kvg:04e00-s1`) and tagged with its stroke type
+ * (`kvg:type="㇐"`), and a StrokeNumbers group with one `<text>` per stroke
+ * placing its number next to the stroke. build-indices.js reduces every file
+ * to
+ *
+ *   { viewBox, strokes: [{ path, type, label: [x, y] }] }
+ *
+ * in indices/japanese/strokes.json, keyed by character; build.js copies the
+ * record into each kanji of the word breakdown as `strokeOrder`.
+ */
+
+// Main-variant files only (`04e00.svg`, not `04e00-Kaisho.svg`)
+const FILE_PATTERN = /^([0-9a-f]{5})\.svg$/;
+
+function attributes(tag) {
+  const attrs = {};
+  for (const [, name, value] of tag.matchAll(/([\w:-]+)="([^"]*)"/g)) attrs[name] = value;
+  return attrs;
+}
+
+/**
+ * Character a KanjiVG file draws, or null for variant and non-kanji files.
+ * @param {string} file - File name, e.g. '0624b.svg'
+ * @returns {string|null}
+ */
+export function kanjiVGCharacter(file) {
+  const m = file.match(FILE_PATTERN);
+  return m ? String.fromCodePoint(parseInt(m[1], 16)) : null;
+}
+
+/**
+ * Parse one KanjiVG SVG.
+ * @param {string} svg
+ * @returns {{ viewBox: string, strokes: Array<{ path: string, type: string|null, label: number[]|null }> }}
+ */
+export function parseKanjiVG(svg) {
+  const viewBox = attributes(svg.match(/<svg\b[^>]*>/)?.[0] ?? '').viewBox ?? '0 0 109 109';
+
+  const strokes = [];
+  for (const [tag] of svg.matchAll(/<path\b[^>]*>/g)) {
+    const attrs = attributes(tag);
+    const n = Number(attrs.id?.match(/-s(\d+)$/)?.[1]);
+    if (!n || !attrs.d) continue;
+    strokes.push({ n, path: attrs.d, type: attrs['kvg:type'] || null });
+  }
+  strokes.sort((a, b) => a.n - b.n);
+
+  const labels = new Map();
+  for (const [, transform, text] of svg.matchAll(/<text\b[^>]*transform="([^"]*)"[^>]*>\s*(\d+)\s*<\/text>/g)) {
+    // matrix(1 0 0 1 x y): the last two values are the position
+    const values = transform.match(/-?[\d.]+/g)?.map(Number) ?? [];
+    if (values.length >= 2) labels.set(Number(text), values.slice(-2));
+  }
+
+  return {
+    viewBox,
+    strokes: strokes.map(({ n, path, type }) => ({ path, type, label: labels.get(n) ?? null })),
+  };
+}
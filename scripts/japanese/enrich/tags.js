@@ -4,7 +4,8 @@
  * Designed to support V4 features (SRS, adaptive ordering).
  *
  * Output shape:
- *   { difficultyBand, wordType, register, isIrregular }
+ *   { difficultyBand, wordType, register, isIrregular,
+ *     usuallyKana, keigo, isOnomatopoeia, isCounter }
  */
 
 const JLPT_DIFFICULTY = {
@@ -54,6 +55,7 @@ function detectWordType(posTags) {
       return 'adjective';
     if (lower.includes('adjectival noun') || lower.includes('keiyodoshi'))
       return 'adjective';
+    if (lower === 'counter') return 'counter';
     if (lower.includes('interjection')) return 'interjection';
     if (lower.includes('adverb')) return 'adverb';
     if (lower.includes('particle')) return 'particle';
@@ -83,6 +85,40 @@ function detectRegister(senses) {
   return 'neutral';
 }
 
+/**
+ * Keigo from JMdict misc tags: sonkeigo (honorific) or kenjougo (humble).
+ */
+function detectKeigo(senses) {
+  for (const s of senses) {
+    for (const m of s.misc ?? []) {
+      const lower = m.toLowerCase();
+      if (lower.includes('sonkeigo') || lower.includes('honorific')) return 'sonkeigo';
+      if (lower.includes('kenjougo') || lower.includes('humble')) return 'kenjougo';
+    }
+  }
+  return null;
+}
+
+/**
+ * JMdict marks "usually written using kana alone" per sense;
+ * the primary (first) sense decides.
+ */
+function isUsuallyKana(senses) {
+  return (senses[0]?.misc ?? []).some((m) =>
+    m.toLowerCase().includes('usually written using kana alone')
+  );
+}
+
+function isOnomatopoeia(senses) {
+  return senses.some((s) =>
+    (s.misc ?? []).some((m) => /onomatopoeic|mimetic/i.test(m))
+  );
+}
+
+function isCounterWord(posTags) {
+  return posTags.some((p) => p.toLowerCase() === 'counter');
+}
+
 function isIrregularVerb(posTags) {
   return posTags.some(
     (p) =>
@@ -98,7 +134,7 @@ function isIrregularVerb(posTags) {
  * @param {string}   jlpt      - e.g. 'N5'
  * @param {Array}    kanjiInfo  - Kanji objects with { grade, ... }
  * @param {Array}    senses     - Filtered senses (must include misc field)
- * @returns {{ difficultyBand, wordType, register, isIrregular }}
+ * @returns {{ difficultyBand, wordType, register, isIrregular, usuallyKana, keigo, isOnomatopoeia, isCounter }}
  */
 export function buildTags(posTags, jlpt, kanjiInfo, senses) {
   return {
@@ -106,5 +142,9 @@ export function buildTags(posTags, jlpt, kanjiInfo, senses) {
     wordType: detectWordType(posTags),
     register: detectRegister(senses),
     isIrregular: isIrregularVerb(posTags),
+    usuallyKana: isUsuallyKana(senses),
+    keigo: detectKeigo(senses),
+    isOnomatopoeia: isOnomatopoeia(senses),
+    isCounter: isCounterWord(posTags),
   };
 }
@@ -0,0 +1,211 @@
+/**
+ * Per-sense translation for locales without JMdict glosses of their own.
+ *
+ * A sense is identified by its JMdict seq and index (`1358280#0`). Its
+ * translation comes from, best first:
+ *   1. the locale's translation memory — reviewed translations committed in
+ *      translations/japanese/<locale>.json:
+ *        { "1358280#0": { "word": "食べる", "source": ["to eat"], "meanings": ["makan"] } }
+ *      (`word` is there for reviewers, `source` also guards against stale entries)
+ *   2. the machine-translation cache of the selected provider
+ *      (data/japanese/translation-cache/<provider>.<locale>.json)
+ *
+ * Both stores record the English glosses each translation was made from
+ * (`source`); an entry whose source no longer matches the sense (JMdict
+ * reordered or reworded its senses) is stale and skipped, so it never lands
+ * on the wrong sense.
+ *
+ * Lookups are synchronous so build workers can use them; senses found in
+ * neither store are collected by build.js and sent to the provider through
+ * `fill()` between build passes. Machine output is flagged `machine` so the
+ * generated files can mark it for review.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import OpenAI from 'openai';
+
+// Senses sent to the provider per request
+const BATCH_SIZE = 25;
+
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+
+/** Names accepted by --mt / MT_PROVIDER, besides 'off'. */
+export const MT_PROVIDERS = ['openai', 'mock'];
+
+/** Translation memory / cache key of sense `idx` of entry `seq`. */
+export function senseKey(seq, idx) {
+  return `${seq}#${idx}`;
+}
+
+function readStore(path) {
+  return path && existsSync(path) ? JSON.parse(readFileSync(path, 'utf-8')) : {};
+}
+
+function sameSource(a, b) {
+  return a.length === b.length && a.every((m, i) => m === b[i]);
+}
+
+/**
+ * Translation memory plus (when a provider is selected) its machine cache
+ * for one locale.
+ *
+ * @param {{ memoryPath: string, cachePath?: string|null }} paths
+ * @returns {{ get(key: string): object[], staleMemory: Function, fill: Function, memorySize: number }}
+ */
+export function loadTranslations({ memoryPath, cachePath = null }) {
+  const memory = readStore(memoryPath);
+  const cache = readStore(cachePath);
+
+  return {
+    memorySize: Object.keys(memory).length,
+
+    /**
+     * Stored translations of a sense, best first: `{ meanings, source }` from
+     * the memory, then `{ meanings, source, machine: true }` from the cache.
+     */
+    get(key) {
+      const found = [];
+      if (memory[key]?.meanings?.length) found.push({ meanings: memory[key].meanings, source: memory[key].source });
+      if (cache[key]) found.push({ meanings: cache[key].meanings, source: cache[key].source, machine: true });
+      return found;
+    },
+
+    /**
+     * Memory keys whose sense is gone or whose `source` no longer matches
+     * the sense's English glosses.
+     *
+     * @param {(key: string) => string[]|null} englishOf - Current glosses of a sense
+     * @returns {string[]}
+     */
+    staleMemory(englishOf) {
+      return Object.keys(memory).filter((key) => {
+        const english = englishOf(key);
+        return !english || (memory[key].source && !sameSource(memory[key].source, english));
+      });
+    },
+
+    /**
+     * Machine-translate senses and add them to the cache (saved after every
+     * batch, so an interrupted run keeps what it got). Failed batches are
+     * reported and left untranslated.
+     *
+     * @param {object} provider - From createProvider
+     * @param {Array<{ key: string, word: string, reading: string, source: string[] }>} senses
+     * @returns {Promise<number>} Senses translated
+     */
+    async fill(provider, senses) {
+      let done = 0;
+      for (let i = 0; i < senses.length; i += BATCH_SIZE) {
+        const batch = senses.slice(i, i + BATCH_SIZE);
+        let translated;
+        try {
+          translated = await provider.translate(batch);
+        } catch (err) {
+          console.log(`  ${provider.name}: batch ${i / BATCH_SIZE + 1} failed — ${err.message}`);
+          continue;
+        }
+        for (const { key, source } of batch) {
+          const meanings = translated.get(key);
+          if (!meanings) continue;
+          cache[key] = { source, meanings, provider: provider.name, model: provider.model };
+          done++;
+        }
+        mkdirSync(dirname(cachePath), { recursive: true });
+        writeFileSync(cachePath, JSON.stringify(cache, null, 1));
+      }
+      return done;
+    },
+  };
+}
+
+/**
+ * Stored translation of one sense, or null. Memory entries and cached
+ * machine output made from different English glosses (JMdict was updated)
+ * do not count; the next store is tried instead.
+ *
+ * @param {{ get(key: string): object[] }} translations
+ * @param {string} key - senseKey(seq, idx)
+ * @param {string[]} english - The sense's current English glosses
+ * @returns {{ meanings: string[], machine: boolean }|null}
+ */
+export function resolveSense(translations, key, english) {
+  for (const t of translations.get(key)) {
+    if (t.source && !sameSource(t.source, english)) continue;
+    return { meanings: t.meanings, machine: Boolean(t.machine) };
+  }
+  return null;
+}
+
+/** Non-empty list of non-empty strings, or null. */
+function glossList(value) {
+  if (!Array.isArray(value)) return null;
+  const glosses = value.filter((g) => typeof g === 'string' && g.trim() !== '').map((g) => g.trim());
+  return glosses.length > 0 ? glosses : null;
+}
+
+function openaiProvider(language) {
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error('OPENAI_API_KEY is not set (add it to .env, or use --mt=mock offline).');
+  }
+  const client = new OpenAI();
+  const model = process.env.OPENAI_TRANSLATION_MODEL || DEFAULT_OPENAI_MODEL;
+
+  return {
+    name: 'openai',
+    model,
+    async translate(senses) {
+      const response = await client.chat.completions.create({
+        model,
+        temperature: 0,
+        response_format: { type: 'json_object' },
+        messages: [
+          {
+            role: 'system',
+            content:
+              `You translate Japanese dictionary senses for ${language}-speaking learners. ` +
+              `Each item gives a Japanese word, its reading and the English glosses of one sense. ` +
+              `Translate the sense into short ${language} glosses (dictionary style, no explanations). ` +
+              'Reply with JSON: {"translations": {"<id>": ["gloss", ...]}} covering every id.',
+          },
+          {
+            role: 'user',
+            content: JSON.stringify(
+              senses.map(({ key, word, reading, source }) => ({ id: key, word, reading, english: source }))
+            ),
+          },
+        ],
+      });
+      const parsed = JSON.parse(response.choices[0]?.message?.content ?? '{}');
+      const out = new Map();
+      for (const { key } of senses) {
+        const glosses = glossList(parsed.translations?.[key]);
+        if (glosses) out.set(key, glosses);
+      }
+      return out;
+    },
+  };
+}
+
+// Offline stand-in: tags the English glosses so its output is recognisable
+function mockProvider(language) {
+  return {
+    name: 'mock',
+    model: null,
+    async translate(senses) {
+      return new Map(senses.map(({ key, source }) => [key, source.map((m) => `[${language}] ${m}`)]));
+    },
+  };
+}
+
+/**
+ * Machine-translation provider by name.
+ * @param {string} name - One of MT_PROVIDERS
+ * @param {string} language - Target language name for prompts (e.g. 'Indonesian')
+ * @returns {{ name: string, model: string|null, translate(senses: object[]): Promise<Map<string, string[]>> }}
+ */
+export function createProvider(name, language) {
+  if (name === 'openai') return openaiProvider(language);
+  if (name === 'mock') return mockProvider(language);
+  throw new Error(`Unknown translation provider "${name}". Known: ${MT_PROVIDERS.join(', ')}, off`);
+}
@@ -0,0 +1,93 @@
+/**
+ * Sharded JMdict index.
+ *
+ * build-indices.js writes the dictionary as many small JSON shards plus a
+ * manifest, and build.js opens it lazily so a single-word build only reads
+ * the shards its lookups touch.
+ *
+ * Layout (indices/japanese/jmdict/):
+ *   manifest.json                               shard lists, counts, lookup shard hashes
+ *   entries/<seq / ENTRY_BUCKET_SIZE>.json      { seq: entry }
+ *   wordLookup/<hex code point>.json            { word: seq[] }    by first character
+ *   readingLookup/<hex code point>.json         { reading: seq[] } by first character
+ *   kanjiCharIndex/<hex code point>.json        { kanji: seq[] }   one kanji per shard
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { writeShards, lazyTable } from './shards.js';
+
+export const FORMAT_VERSION = 3;
+export const ENTRY_BUCKET_SIZE = 1000;
+
+const TABLES = ['entries', 'wordLookup', 'readingLookup', 'kanjiCharIndex'];
+
+/**
+ * Shard name holding `key` in `table`.
+ * @param {string} table
+ * @param {string} key
+ * @returns {string}
+ */
+export function shardOf(table, key) {
+  if (table === 'entries') return String(Math.floor(Number(key) / ENTRY_BUCKET_SIZE));
+  return key.codePointAt(0).toString(16);
+}
+
+/**
+ * Write a full JMdict index ({ entries, wordLookup, readingLookup, kanjiCharIndex })
+ * as shards + manifest, replacing any previous shards in `dir`.
+ *
+ * @param {object} index
+ * @param {string} dir
+ * @returns {object} The manifest
+ */
+export function writeJmdictShards(index, dir) {
+  rmSync(dir, { recursive: true, force: true });
+
+  const manifest = {
+    format: FORMAT_VERSION,
+    entryBucketSize: ENTRY_BUCKET_SIZE,
+    counts: {},
+    shards: {},
+    // Content hashes of lookup shards, so incremental builds can tell which changed
+    hashes: {},
+  };
+
+  for (const table of TABLES) {
+    const { shards, hashes, count } = writeShards(join(dir, table), index[table], (key) => shardOf(table, key));
+    if (table !== 'entries') manifest.hashes[table] = hashes;
+    manifest.counts[table] = count;
+    manifest.shards[table] = shards;
+  }
+
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+/**
+ * Open a sharded JMdict index.
+ *
+ * The returned object has the same shape as the monolithic jmdict.json
+ * (`entries`, `wordLookup`, `readingLookup`, `kanjiCharIndex`), so enrichment
+ * modules can use it unchanged; each table loads shards on demand.
+ *
+ * @param {string} dir - Shard directory (indices/japanese/jmdict)
+ * @returns {{ entries: object, wordLookup: object, readingLookup: object,
+ *             kanjiCharIndex: object, manifest: object, shardsLoaded: () => number }}
+ */
+export function openJmdict(dir) {
+  const manifest = JSON.parse(readFileSync(join(dir, 'manifest.json'), 'utf-8'));
+  if (manifest.format !== FORMAT_VERSION) {
+    throw new Error(
+      `JMdict shard format ${manifest.format} is not supported (expected ${FORMAT_VERSION}). Rebuild indices.`
+    );
+  }
+
+  const stats = { shardsLoaded: 0 };
+  const jmdict = { manifest, shardsLoaded: () => stats.shardsLoaded };
+  for (const table of TABLES) {
+    jmdict[table] = lazyTable(join(dir, table), manifest.shards[table], (key) => shardOf(table, key), stats);
+  }
+  return jmdict;
+}
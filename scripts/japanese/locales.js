@@ -0,0 +1,77 @@
+/**
+ * Target locale registry.
+ *
+ * Each locale declares:
+ *   wordListDir  - JLPT word lists (n5.json … n1.json), relative to the repo root
+ *   meanings     - where sense meanings come from:
+ *                    'jmdict'   → JMdict glosses in `glossLang` ('eng' = the English senses;
+ *                                 other languages need the multilingual JMdict.xml)
+ *                    'wordList' → first sense from the locale's word list, other senses English
+ *   translation  - optional per-sense translation layer (enrich/translate.js):
+ *                    language - language name given to the machine-translation provider
+ *                    memory   - reviewed translation memory, relative to the repo root
+ *   exampleLang  - Tatoeba language code used for lesson translations ('eng' = no pivot needed)
+ *   lessonField  - key holding the lesson translation in the output
+ *   outDir       - output directory, relative to the repo root
+ *   kanjiOutDir  - kanji page directory (build-kanji.js), relative to the repo root
+ *
+ * build.js generates one file per word per enabled locale; adding a language
+ * only needs an entry here (plus its word list, if it uses one).
+ */
+
+export const LOCALES = {
+  en: {
+    wordListDir: 'jlpt_files/en',
+    meanings: 'jmdict',
+    glossLang: 'eng',
+    exampleLang: 'eng',
+    lessonField: 'english',
+    outDir: 'character/en',
+    kanjiOutDir: 'kanji/en',
+  },
+  id: {
+    wordListDir: 'jlpt_files/id',
+    meanings: 'wordList',
+    translation: { language: 'Indonesian', memory: 'translations/japanese/id.json' },
+    exampleLang: 'ind',
+    lessonField: 'indonesian',
+    outDir: 'character/id',
+    kanjiOutDir: 'kanji/id',
+  },
+  es: {
+    wordListDir: 'jlpt_files/es',
+    meanings: 'jmdict',
+    glossLang: 'spa',
+    exampleLang: 'spa',
+    lessonField: 'spanish',
+    outDir: 'character/es',
+    kanjiOutDir: 'kanji/es',
+  },
+  vi: {
+    wordListDir: 'jlpt_files/vi',
+    meanings: 'wordList',
+    exampleLang: 'vie',
+    lessonField: 'vietnamese',
+    outDir: 'character/vi',
+    kanjiOutDir: 'kanji/vi',
+  },
+};
+
+/** Locales built when no --locales flag is given. */
+export const DEFAULT_LOCALES = ['en', 'id'];
+
+/** The locale whose word lists decide which words exist and their JLPT level. */
+export const PRIMARY_LOCALE = 'en';
+
+/**
+ * Tatoeba languages the given locales need for lesson translations, besides
+ * English.
+ * @param {string[]} [codes] - Enabled locales
+ * @returns {string[]}
+ */
+export function exampleLanguages(codes = DEFAULT_LOCALES) {
+  return [...new Set(codes.map((code) => LOCALES[code].exampleLang))].filter(
+    (lang) => lang !== 'eng'
+  );
+}
+
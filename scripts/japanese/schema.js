@@ -0,0 +1,332 @@
+/**
+ * JSON Schema of the word and kanji page formats, one schema per locale.
+ *
+ * Locales differ only in the lesson translation field (`english`,
+ * `indonesian`, …) and in whether lessons carry a translationSource, so the
+ * schemas are generated from the locale registry. Bump SCHEMA_VERSION on any
+ * breaking change to the format; every file records the version it was
+ * written with in `schemaVersion`.
+ *
+ * validate.js checks output trees against these schemas and writes them to
+ * schemas/japanese/ for consumers; build.js and build-kanji.js refuse to
+ * write a document that does not validate.
+ */
+
+import Ajv from 'ajv';
+import { LOCALES } from './locales.js';
+
+export const SCHEMA_VERSION = 10;
+
+const JLPT_LEVELS = ['N5', 'N4', 'N3', 'N2', 'N1'];
+const SENTENCE_LEVELS = ['newbie', 'elementary', 'intermediate', 'upper-intermediate', 'advanced'];
+
+const string = { type: 'string' };
+// Present (true) only on machine translations
+const needsReview = { const: true };
+// Clip path relative to dist/ (enrich/audio.js), present once synthesised
+const audio = { type: 'string', pattern: '^audio/' };
+const nullableString = { type: ['string', 'null'] };
+const strings = { type: 'array', items: string };
+
+function object(properties, required = Object.keys(properties)) {
+  return { type: 'object', properties, required, additionalProperties: false };
+}
+
+const definition = object({
+  word: string,
+  reading: string,
+  romaji: string,
+  jlpt: { enum: JLPT_LEVELS },
+  frequency: { type: ['integer', 'null'] },
+  entries: {
+    type: 'array',
+    items: object({ pos: strings, meanings: strings, needsReview }, ['pos', 'meanings']),
+  },
+  alternatives: {
+    type: 'array',
+    items: object({ word: string, reading: string, status: { enum: ['irregular', 'rare', 'outdated', 'search-only', null] } }),
+  },
+  audio,
+}, ['word', 'reading', 'romaji', 'jlpt', 'frequency', 'entries', 'alternatives']);
+
+const tags = object({
+  difficultyBand: { enum: ['basic', 'intermediate', 'advanced', 'literary'] },
+  wordType: string,
+  register: string,
+  isIrregular: { type: 'boolean' },
+  usuallyKana: { type: 'boolean' },
+  keigo: { enum: ['sonkeigo', 'kenjougo', null] },
+  isOnomatopoeia: { type: 'boolean' },
+  isCounter: { type: 'boolean' },
+});
+
+// KanjiVG strokes in writing order (enrich/strokes.js)
+const strokeOrder = {
+  type: ['object', 'null'],
+  properties: {
+    viewBox: string,
+    strokes: {
+      type: 'array',
+      minItems: 1,
+      items: object({
+        path: string,
+        type: nullableString,
+        label: { type: ['array', 'null'], items: { type: 'number' }, minItems: 2, maxItems: 2 },
+      }),
+    },
+  },
+  required: ['viewBox', 'strokes'],
+  additionalProperties: false,
+};
+
+// Classical (Kangxi) radical from KANJIDIC2 (enrich/radicals.js)
+const radical = {
+  type: ['object', 'null'],
+  properties: {
+    number: { type: 'integer', minimum: 1, maximum: 214 },
+    character: string,
+    name: string,
+    meaning: string,
+  },
+  required: ['number', 'character', 'name', 'meaning'],
+  additionalProperties: false,
+};
+
+// Where a non-English locale's kanji meanings come from (enrich/kanji.js)
+function meaningSource(code) {
+  return code === 'en' ? {} : { meaningSource: { enum: ['kanjidic2', 'english-fallback'] } };
+}
+
+const kanji = (code) => object({
+  character: string,
+  meanings: strings,
+  ...meaningSource(code),
+  onyomi: strings,
+  kunyomi: strings,
+  strokeCount: { type: ['integer', 'null'] },
+  grade: { type: ['integer', 'null'] },
+  jlpt: { type: ['integer', 'null'] },
+  frequency: { type: ['integer', 'null'] },
+  radical,
+  components: strings,
+  reading: nullableString,
+  readingType: { enum: ['onyomi', 'kunyomi', null] },
+  strokeOrder,
+});
+
+const conjugations = object({
+  type: string,
+  forms: { type: 'object', additionalProperties: object({ word: string, reading: string }) },
+});
+
+const height = { enum: ['H', 'L'] };
+
+const pitch = object({
+  morae: { ...strings, minItems: 1 },
+  patterns: {
+    type: 'array',
+    minItems: 1,
+    items: object({
+      pattern: { type: 'integer', minimum: 0 },
+      type: { enum: ['heiban', 'atamadaka', 'nakadaka', 'odaka'] },
+      heights: { type: 'array', items: height },
+      particle: height,
+      // SVG graph path relative to dist/ (enrich/pitch-graph.js)
+      graph: { type: 'string', pattern: '^pitch/.+\\.svg$' },
+    }),
+  },
+});
+
+const related = object(
+  { word: string, reading: string, meaning: string, needsReview },
+  ['word', 'reading', 'meaning']
+);
+
+const idiom = object(
+  {
+    word: string,
+    reading: string,
+    meaning: string,
+    type: { enum: ['idiom', 'proverb', 'yojijukugo', 'expression'] },
+    needsReview,
+    audio,
+  },
+  ['word', 'reading', 'meaning', 'type']
+);
+
+const furiganaSpan = {
+  type: 'object',
+  properties: { text: string, reading: nullableString, unresolved: { const: true } },
+  required: ['text', 'reading'],
+  additionalProperties: false,
+};
+
+const match = object({
+  start: { type: 'integer', minimum: 0 },
+  end: { type: 'integer', minimum: 0 },
+  surface: string,
+});
+
+const sentenceRef = object({ id: nullableString, user: string }, ['id']);
+
+function lesson(locale, extra = {}) {
+  const translated = locale.exampleLang !== 'eng';
+  const lessonInfo = object({
+    level: { enum: SENTENCE_LEVELS },
+    readingResolved: { type: 'boolean' },
+    ...(translated && { translationSource: { enum: ['tatoeba', 'tatoeba-pivot', 'english-fallback'] } }),
+  });
+  return object(
+    {
+      japanese: string,
+      reading: nullableString,
+      furigana: { type: 'array', items: furiganaSpan },
+      match,
+      [locale.lessonField]: string,
+      lessonInfo,
+      audio,
+      ...extra,
+    },
+    ['japanese', 'reading', 'furigana', 'match', locale.lessonField, 'lessonInfo', ...Object.keys(extra)]
+  );
+}
+
+const tatoebaRefs = {
+  type: 'array',
+  items: { type: 'object', properties: { jpn: sentenceRef }, required: ['jpn'], additionalProperties: sentenceRef },
+};
+
+// The Kanjium entry behind `pitch` (enrich/pitch.js lookupPitch); word is null when only the reading matched
+const pitchSource = {
+  type: ['object', 'null'],
+  properties: { word: nullableString, reading: string, accent: string },
+  required: ['word', 'reading', 'accent'],
+  additionalProperties: false,
+};
+
+const sources = object({
+  jmdict: object({ entries: { ...strings, minItems: 1 }, related: strings, idioms: strings }),
+  tatoeba: tatoebaRefs,
+  pitch: pitchSource,
+});
+
+/**
+ * Schema of one locale's word files.
+ * @param {string} code - Locale code from locales.js
+ * @returns {object}
+ */
+export function wordSchema(code) {
+  const locale = LOCALES[code];
+  if (!locale) throw new Error(`Unknown locale "${code}"`);
+
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: `japanese/word/v${SCHEMA_VERSION}/${code}`,
+    title: `Japanese word file (${code}), format v${SCHEMA_VERSION}`,
+    ...object(
+      {
+        schemaVersion: { const: SCHEMA_VERSION },
+        definition,
+        tags,
+        kanji: { type: 'array', items: kanji(code) },
+        conjugations,
+        pitch,
+        related: { type: 'array', items: related },
+        idioms: { type: 'array', items: idiom },
+        lessons: { type: 'array', items: lesson(locale) },
+        sources,
+      },
+      ['schemaVersion', 'definition', 'tags', 'kanji', 'related', 'idioms', 'lessons', 'sources']
+    ),
+  };
+}
+
+const character = (code) => object({
+  character: string,
+  meanings: strings,
+  ...meaningSource(code),
+  onyomi: strings,
+  kunyomi: strings,
+  strokeCount: { type: ['integer', 'null'] },
+  grade: { type: ['integer', 'null'] },
+  jlpt: { enum: JLPT_LEVELS },
+  frequency: { type: ['integer', 'null'] },
+  radical,
+  components: strings,
+  strokeOrder,
+});
+
+const kanjiWords = object({
+  jlpt: { enum: JLPT_LEVELS },
+  readings: {
+    type: 'array',
+    items: object({
+      reading: nullableString,
+      readingType: { enum: ['onyomi', 'kunyomi', null] },
+      words: { type: 'array', minItems: 1, items: related },
+    }),
+  },
+});
+
+/**
+ * Schema of one locale's kanji pages (build-kanji.js).
+ * @param {string} code - Locale code from locales.js
+ * @returns {object}
+ */
+export function kanjiSchema(code) {
+  const locale = LOCALES[code];
+  if (!locale) throw new Error(`Unknown locale "${code}"`);
+
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: `japanese/kanji/v${SCHEMA_VERSION}/${code}`,
+    title: `Japanese kanji page (${code}), format v${SCHEMA_VERSION}`,
+    ...object({
+      schemaVersion: { const: SCHEMA_VERSION },
+      kanji: character(code),
+      words: { type: 'array', minItems: 1, items: kanjiWords },
+      compounds: { type: 'array', items: related },
+      examples: { type: 'array', items: lesson(locale, { word: string }) },
+      sources: object({ jmdict: object({ compounds: strings }), tatoeba: tatoebaRefs }),
+    }),
+  };
+}
+
+/**
+ * JSONPath-style location ($.lessons[0].english) from an Ajv error.
+ */
+function errorPath(error) {
+  const segments = error.instancePath.split('/').slice(1).map((s) => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+  const child = error.params.missingProperty ?? error.params.additionalProperty;
+  if (child !== undefined) segments.push(child);
+  return segments.reduce(
+    (path, s) => path + (/^\d+$/.test(s) ? `[${s}]` : /^[A-Za-z_$][\w$]*$/.test(s) ? `.${s}` : `[${JSON.stringify(s)}]`),
+    '$'
+  );
+}
+
+function errorMessage(error) {
+  if (error.keyword === 'additionalProperties') return 'unexpected property';
+  if (error.keyword === 'required') return 'missing required property';
+  if (error.keyword === 'enum') return `${error.message}: ${error.params.allowedValues.map((v) => JSON.stringify(v)).join(', ')}`;
+  if (error.keyword === 'const') return `must be ${JSON.stringify(error.params.allowedValue)}`;
+  return error.message;
+}
+
+/**
+ * Validator for word documents (or, with `kanjiSchema`, kanji pages).
+ * Schemas are compiled once per locale.
+ * @param {(code: string) => object} [schemaOf] - wordSchema or kanjiSchema
+ * @returns {(code: string, doc: object) => Array<{ path: string, message: string }>} Violations (empty when valid)
+ */
+export function createValidator(schemaOf = wordSchema) {
+  const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+  const compiled = new Map();
+
+  return (code, doc) => {
+    if (!compiled.has(code)) compiled.set(code, ajv.compile(schemaOf(code)));
+    const validate = compiled.get(code);
+    if (validate(doc)) return [];
+    return validate.errors.map((error) => ({ path: errorPath(error), message: errorMessage(error) }));
+  };
+}
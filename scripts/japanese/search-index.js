@@ -0,0 +1,181 @@
+/**
+ * Prebuilt search index for clients.
+ *
+ * build.js writes dist/search/index.json from the generated word pages after
+ * every full run (all levels, at least the default locales); search.js (repo root) loads it in the browser or the app and
+ * answers prefix queries without touching the word files. Shape:
+ *
+ *   {
+ *     version, locales: ['en', 'id'],
+ *     words: [[word, reading, jlpt, frequency, [meaning per locale], page?]],
+ *     terms: [[term, wordIndex, ...]],
+ *     meanings: { [locale]: [[term, wordIndex, ...]] }
+ *   }
+ *
+ * `words` are in rank order — JLPT level (N5 first), then frequency — so a
+ * lower index is a better match. `page` (the word file's name) is only there
+ * when it differs from `word`. `terms` holds the headword, every reading in
+ * hiragana and the romaji with long-vowel marks (tōkyō) and without (tokyo);
+ * `meanings` holds each locale's glosses and the words in them. Both are
+ * sorted by code unit so prefix lookups are a binary search.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { toHiragana, toRomaji } from 'wanakana';
+import { JLPT_RANK } from './enrich/filters.js';
+import { SCHEMA_VERSION } from './schema.js';
+
+/** Bump when the index shape changes; search.js refuses other versions. */
+export const SEARCH_INDEX_VERSION = 1;
+
+// Glosses shown per word in results
+const SHOWN_MEANINGS = 3;
+
+const MACRONS = { a: 'ā', i: 'ī', u: 'ū', e: 'ē', o: 'ō' };
+
+// JMdict part of speech of verbs whose dictionary form ends in う
+const U_VERB_POS = /^Godan verb with 'u' ending/;
+
+/**
+ * Hepburn romaji with long-vowel marks: おう/おお → ō, うう → ū, ああ → ā,
+ * ええ → ē, and ー lengthens the vowel before it (コーヒー → kōhī).
+ * いい and えい stay as written, as in Hepburn. The final う of a verb is an
+ * ending, not a long vowel, so it is kept with `uVerb` (思う → omou, 問う → tou).
+ *
+ * @param {string} reading
+ * @param {{ uVerb?: boolean }} [options]
+ */
+export function macronRomaji(reading, { uVerb = false } = {}) {
+  const kana = toHiragana(reading, { convertLongVowelMark: false });
+  if (uVerb && kana.length > 1 && kana.endsWith('う')) return macronRomaji(kana.slice(0, -1)) + 'u';
+  return toRomaji(kana)
+    .replace(/([aeiou])-/g, (_, v) => MACRONS[v])
+    .replace(/o[ou]|uu|aa|ee/g, (pair) => MACRONS[pair[0]])
+    .replace(/'/g, '');
+}
+
+/** Romaji without long-vowel marks (tōkyō → tokyo). */
+export function plainRomaji(romaji) {
+  return romaji.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Search form of a gloss: lower case, no parenthesised notes, no leading
+ * "to " of English verbs.
+ */
+export function normalizeGloss(gloss) {
+  return gloss
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/^\s*to\s+/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function addTerm(table, term, index) {
+  if (!term) return;
+  if (!table.has(term)) table.set(term, new Set());
+  table.get(term).add(index);
+}
+
+function sortedTable(table) {
+  return [...table.keys()]
+    .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0))
+    .map((term) => [term, ...[...table.get(term)].sort((a, b) => a - b)]);
+}
+
+/**
+ * Build the index from word pages.
+ *
+ * @param {Array<{ page: string, docs: Object<string, object> }>} pages - Each
+ *        JLPT word's page name and its document per locale
+ * @param {string[]} localeCodes
+ * @returns {object}
+ */
+export function buildSearchIndex(pages, localeCodes) {
+  const rank = ({ docs }) => {
+    const { jlpt, frequency } = docs[localeCodes[0]].definition;
+    return [-(JLPT_RANK[jlpt] ?? 0), frequency ?? Infinity];
+  };
+  const ranked = [...pages].sort((a, b) => {
+    const [la, fa] = rank(a);
+    const [lb, fb] = rank(b);
+    return la - lb || fa - fb || (a.page < b.page ? -1 : a.page > b.page ? 1 : 0);
+  });
+
+  const words = [];
+  const terms = new Map();
+  const meanings = new Map(localeCodes.map((code) => [code, new Map()]));
+
+  ranked.forEach(({ page, docs }, i) => {
+    const { definition } = docs[localeCodes[0]];
+    const { word, reading, jlpt, frequency } = definition;
+    const shown = localeCodes.map((code) =>
+      docs[code].definition.entries[0]?.meanings.slice(0, SHOWN_MEANINGS).join(', ') ?? ''
+    );
+    words.push([word, reading, jlpt, frequency, shown, ...(page !== word ? [page] : [])]);
+
+    addTerm(terms, word, i);
+    if (page !== word) addTerm(terms, page, i);
+    const readings = new Set([reading, ...definition.alternatives.map((a) => a.reading)]);
+    const uVerb = definition.entries.some((e) => e.pos.some((p) => U_VERB_POS.test(p)));
+    for (const r of readings) {
+      addTerm(terms, toHiragana(r), i);
+      const romaji = macronRomaji(r, { uVerb });
+      addTerm(terms, romaji, i);
+      addTerm(terms, plainRomaji(romaji), i);
+    }
+
+    for (const code of localeCodes) {
+      const table = meanings.get(code);
+      for (const gloss of docs[code].definition.entries.flatMap((e) => e.meanings)) {
+        const normalized = normalizeGloss(gloss);
+        addTerm(table, normalized, i);
+        for (const token of normalized.split(/[^\p{L}\p{N}'-]+/u)) {
+          if (token.length >= 3 && token !== normalized) addTerm(table, token, i);
+        }
+      }
+    }
+  });
+
+  return {
+    version: SEARCH_INDEX_VERSION,
+    locales: localeCodes,
+    words,
+    terms: sortedTable(terms),
+    meanings: Object.fromEntries([...meanings].map(([code, table]) => [code, sortedTable(table)])),
+  };
+}
+
+/**
+ * Read the current-format word pages of `words` for every locale and write
+ * the index to `path`. Words missing a page in any locale are left out.
+ *
+ * @param {string} path
+ * @param {Array<{ code: string, outDir: string }>} locales
+ * @param {string[]} words - JLPT list words (page names)
+ * @returns {{ indexed: number, dropped: string[] }} Words indexed, and the
+ *          words left out for lack of a current page
+ */
+export function writeSearchIndex(path, locales, words) {
+  const pages = [];
+  const dropped = [];
+  for (const page of words) {
+    const docs = {};
+    for (const locale of locales) {
+      const file = join(locale.outDir, `${page}.json`);
+      if (!existsSync(file)) break;
+      const doc = JSON.parse(readFileSync(file, 'utf-8'));
+      if (doc.schemaVersion !== SCHEMA_VERSION) break;
+      docs[locale.code] = doc;
+    }
+    if (Object.keys(docs).length === locales.length) pages.push({ page, docs });
+    else dropped.push(page);
+  }
+
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, JSON.stringify(buildSearchIndex(pages, locales.map((l) => l.code))));
+  return { indexed: pages.length, dropped };
+}
@@ -0,0 +1,137 @@
+/**
+ * Sharded key → value tables.
+ *
+ * build-indices.js writes a sharded copy of each index build.js looks up by
+ * key (JMdict, KANJIDIC2, KanjiVG strokes, KRADFILE components, expression
+ * n-grams), and build.js opens them lazily so a word only loads the shards
+ * its lookups touch.
+ *
+ * Layout of a standalone table (see jmdict-index.js for JMdict's):
+ *   <dir>/manifest.json    { format, count, shards, hashes }
+ *   <dir>/<shard>.json     { key: value } for the keys in that shard
+ *
+ * `hashes` are content hashes per shard, so incremental builds can tell which
+ * shards changed without reading them.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, rmSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { createHash } from 'node:crypto';
+
+export const SHARD_FORMAT = 1;
+
+// Code points per shard of a standalone table (a KANJIDIC2 shard holds up to 128 kanji)
+const CHAR_BUCKET_BITS = 7;
+
+/** Shard of a standalone table's key: its first character's code point bucket. */
+export function charShard(key) {
+  return (key.codePointAt(0) >> CHAR_BUCKET_BITS).toString(16);
+}
+
+/**
+ * Write `table` as shard files in `dir` (replacing earlier shards).
+ *
+ * @param {string} dir
+ * @param {Object<string, *>} table
+ * @param {(key: string) => string} shardOf
+ * @returns {{ shards: string[], hashes: Object<string, string>, count: number }}
+ */
+export function writeShards(dir, table, shardOf) {
+  rmSync(dir, { recursive: true, force: true });
+  mkdirSync(dir, { recursive: true });
+
+  const shards = new Map();
+  for (const [key, value] of Object.entries(table)) {
+    const shard = shardOf(key);
+    if (!shards.has(shard)) shards.set(shard, {});
+    shards.get(shard)[key] = value;
+  }
+
+  const hashes = {};
+  for (const [shard, data] of shards) {
+    const json = JSON.stringify(data);
+    writeFileSync(join(dir, `${shard}.json`), json);
+    hashes[shard] = createHash('sha1').update(json).digest('hex');
+  }
+  return { shards: [...shards.keys()], hashes, count: Object.keys(table).length };
+}
+
+/**
+ * Write a standalone sharded table with its manifest.
+ * @param {string} dir
+ * @param {Object<string, *>} table
+ * @returns {object} The manifest
+ */
+export function writeShardedTable(dir, table) {
+  const manifest = { format: SHARD_FORMAT, ...writeShards(dir, table, charShard) };
+  writeFileSync(join(dir, 'manifest.json'), JSON.stringify(manifest));
+  return manifest;
+}
+
+/**
+ * A read-only object view over one sharded table. Property reads load the
+ * owning shard on first use; enumerating keys loads every shard.
+ *
+ * @param {string} dir
+ * @param {string[]} shardNames
+ * @param {(key: string) => string} shardOf
+ * @param {{ shardsLoaded: number }} stats
+ */
+export function lazyTable(dir, shardNames, shardOf, stats) {
+  const known = new Set(shardNames);
+  const cache = new Map();
+
+  const load = (shard) => {
+    if (!cache.has(shard)) {
+      if (known.has(shard)) {
+        cache.set(shard, JSON.parse(readFileSync(join(dir, `${shard}.json`), 'utf-8')));
+        stats.shardsLoaded++;
+      } else {
+        cache.set(shard, {});
+      }
+    }
+    return cache.get(shard);
+  };
+
+  const lookup = (key) => {
+    if (typeof key !== 'string' || key === '') return undefined;
+    const data = load(shardOf(key));
+    return Object.hasOwn(data, key) ? data[key] : undefined;
+  };
+
+  return new Proxy({}, {
+    get: (_, key) => lookup(key),
+    has: (_, key) => lookup(key) !== undefined,
+    ownKeys: () => shardNames.flatMap((shard) => Object.keys(load(shard))),
+    getOwnPropertyDescriptor: (_, key) => {
+      const value = lookup(key);
+      return value === undefined
+        ? undefined
+        : { value, writable: false, enumerable: true, configurable: true };
+    },
+    set: () => false,
+    deleteProperty: () => false,
+  });
+}
+
+/**
+ * Open a standalone sharded table. A missing directory opens as an empty
+ * table (optional indices such as KanjiVG strokes).
+ *
+ * @param {string} dir
+ * @returns {{ table: object, manifest: object|null, shardOf: (key: string) => string, shardsLoaded: () => number }}
+ */
+export function openShardedTable(dir) {
+  const stats = { shardsLoaded: 0 };
+  const path = join(dir, 'manifest.json');
+  const manifest = existsSync(path) ? JSON.parse(readFileSync(path, 'utf-8')) : null;
+  if (manifest && manifest.format !== SHARD_FORMAT) {
+    throw new Error(`Shard format ${manifest.format} in ${dir} is not supported (expected ${SHARD_FORMAT}). Rebuild indices.`);
+  }
+  return {
+    table: lazyTable(dir, manifest?.shards ?? [], charShard, stats),
+    manifest,
+    shardOf: charShard,
+    shardsLoaded: () => stats.shardsLoaded,
+  };
+}
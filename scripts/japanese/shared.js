@@ -0,0 +1,51 @@
+/**
+ * Helpers shared by the build scripts and enrichment modules: JSON and JLPT
+ * list loading, JMdict frequency ranks and kanji detection.
+ */
+
+import { readFileSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+
+export function loadJSON(p) {
+  return JSON.parse(readFileSync(p, 'utf-8'));
+}
+
+/**
+ * Rows of a locale's JLPT lists (n5.json … n1.json), easiest level first,
+ * each tagged with its level.
+ * @param {string} dir - The locale's wordListDir
+ * @returns {Array<{ word: string, reading: string, meaning: string, jlpt: string }>}
+ */
+export function loadJlptWords(dir) {
+  const words = [];
+  for (const n of [5, 4, 3, 2, 1]) {
+    const f = join(dir, `n${n}.json`);
+    if (!existsSync(f)) continue;
+    for (const entry of loadJSON(f)) words.push({ ...entry, jlpt: `N${n}` });
+  }
+  return words;
+}
+
+/**
+ * Approximate frequency rank from JMdict priority tags (lower is more
+ * frequent): the nfXX band's midpoint, else a rank per ichi/news list.
+ * @param {string[]} priority
+ * @returns {number|null}
+ */
+export function freqRank(priority) {
+  for (const t of priority) {
+    const m = t.match(/^nf(\d+)$/);
+    if (m) return (parseInt(m[1]) - 1) * 500 + 250;
+  }
+  if (priority.includes('ichi1')) return 5000;
+  if (priority.includes('ichi2')) return 10000;
+  if (priority.includes('news1')) return 12000;
+  if (priority.includes('news2')) return 20000;
+  return null;
+}
+
+/** CJK unified ideographs, extension A and extension B. */
+export function isKanji(ch) {
+  const c = ch.codePointAt(0);
+  return (c >= 0x4e00 && c <= 0x9fff) || (c >= 0x3400 && c <= 0x4dbf) || (c >= 0x20000 && c <= 0x2a6df);
+}
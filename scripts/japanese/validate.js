@@ -0,0 +1,127 @@
+/**
+ * Validate generated word files (or, with --kanji, kanji pages) against the
+ * JSON Schemas in schema.js.
+ *
+ * Every violation is reported as `<file>  <JSON path>  <message>`; the exit
+ * code is 1 when any file is invalid. Files from an older format (another
+ * `schemaVersion`) are not checked, only counted: rebuild them first.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, rmSync } from 'node:fs';
+import { join, dirname, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { LOCALES, DEFAULT_LOCALES } from './locales.js';
+import { SCHEMA_VERSION, wordSchema, kanjiSchema, createValidator } from './schema.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..', '..');
+const SCHEMAS_ROOT = join(ROOT, 'schemas', 'japanese');
+const SCHEMA_DIR = join(SCHEMAS_ROOT, `v${SCHEMA_VERSION}`);
+
+// Violations printed per run; the summary still counts them all
+const MAX_REPORTED = 200;
+
+function main() {
+  const args = process.argv.slice(2);
+  const localesFlag = args.find((a) => a.startsWith('--locales='))?.split('=')[1];
+  const wordFlag = args.find((a) => a.startsWith('--word='))?.split('=')[1];
+  const kanjiPages = args.includes('--kanji');
+
+  if (args.includes('--help')) {
+    console.log('Usage:');
+    console.log('  node validate.js                   # validate character/<locale>/ for the default locales');
+    console.log('  node validate.js --locales=en,es   # locales to validate');
+    console.log('  node validate.js --word=食べる      # one word');
+    console.log('  node validate.js --kanji           # validate kanji/<locale>/ instead (with --word=手 for one kanji)');
+    console.log(`  node validate.js --write-schemas   # write the schemas to ${relative(ROOT, SCHEMA_DIR)}/ (older versions are removed)`);
+    process.exit(0);
+  }
+
+  const codes = localesFlag ? localesFlag.split(',') : DEFAULT_LOCALES;
+  for (const code of codes) {
+    if (!LOCALES[code]) {
+      console.error(`Unknown locale "${code}". Known: ${Object.keys(LOCALES).join(', ')}`);
+      process.exit(1);
+    }
+  }
+
+  if (args.includes('--write-schemas')) {
+    // Only the current format is published; older schemas live in git history
+    for (const dir of existsSync(SCHEMAS_ROOT) ? readdirSync(SCHEMAS_ROOT) : []) {
+      if (/^v\d+$/.test(dir) && dir !== `v${SCHEMA_VERSION}`) {
+        rmSync(join(SCHEMAS_ROOT, dir), { recursive: true });
+        console.log(`Removed ${relative(ROOT, join(SCHEMAS_ROOT, dir))}/`);
+      }
+    }
+    mkdirSync(SCHEMA_DIR, { recursive: true });
+    for (const code of Object.keys(LOCALES)) {
+      for (const [name, schema] of [['word', wordSchema], ['kanji', kanjiSchema]]) {
+        const path = join(SCHEMA_DIR, `${name}.${code}.schema.json`);
+        writeFileSync(path, JSON.stringify(schema(code), null, 2) + '\n');
+        console.log(`Wrote ${relative(ROOT, path)}`);
+      }
+    }
+    return;
+  }
+
+  const validate = createValidator(kanjiPages ? kanjiSchema : wordSchema);
+  const dirKey = kanjiPages ? 'kanjiOutDir' : 'outDir';
+  let checked = 0;
+  let invalid = 0;
+  let violations = 0;
+  let outdated = 0;
+
+  for (const code of codes) {
+    const dir = join(ROOT, LOCALES[code][dirKey]);
+    if (!existsSync(dir)) {
+      console.log(`${code}: ${LOCALES[code][dirKey]} not found — skipping.`);
+      continue;
+    }
+
+    const files = readdirSync(dir)
+      .filter((f) => f.endsWith('.json'))
+      .filter((f) => !wordFlag || f === `${wordFlag}.json`)
+      .sort();
+    let localeInvalid = 0;
+    let localeOutdated = 0;
+
+    for (const file of files) {
+      const path = relative(ROOT, join(dir, file));
+      let errors;
+      try {
+        const doc = JSON.parse(readFileSync(join(dir, file), 'utf-8'));
+        if (doc.schemaVersion !== SCHEMA_VERSION) {
+          localeOutdated++;
+          continue;
+        }
+        errors = validate(code, doc);
+      } catch (err) {
+        errors = [{ path: '$', message: `unreadable JSON: ${err.message}` }];
+      }
+      checked++;
+      if (errors.length === 0) continue;
+
+      localeInvalid++;
+      for (const { path: jsonPath, message } of errors) {
+        if (violations++ < MAX_REPORTED) console.log(`${path}  ${jsonPath}  ${message}`);
+      }
+    }
+
+    invalid += localeInvalid;
+    outdated += localeOutdated;
+    console.log(
+      `${code}: ${files.length} files, ${localeInvalid} invalid` +
+        (localeOutdated > 0 ? `, ${localeOutdated} from an older format (not checked)` : '')
+    );
+  }
+
+  if (violations > MAX_REPORTED) console.log(`(${violations - MAX_REPORTED} more violations not shown)`);
+  console.log(`\n${checked} files checked against schema v${SCHEMA_VERSION}: ${invalid} invalid, ${violations} violations.`);
+  if (outdated > 0) {
+    const script = kanjiPages ? 'npm run jp:kanji' : 'npm run jp:words';
+    console.log(`${outdated} files from an older format were skipped — rebuild them (${script}) to validate them.`);
+  }
+  if (invalid > 0) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,99 @@
+/**
+ * Client-side word search over the prebuilt index (dist/search/index.json,
+ * written by scripts/japanese/build.js — see scripts/japanese/search-index.js
+ * for its shape).
+ *
+ *   const search = createSearch(await loadSearchIndex());
+ *   search('tabe');               // 食べる, 食べ物, …
+ *   search('makan', { locale: 'id' });
+ *
+ * Queries are prefix matches against the headword, its readings, romaji with
+ * or without long-vowel marks, and the glosses of one locale. Romaji and
+ * katakana are also tried as hiragana, the way wanakana's IME converts them
+ * (`kouhii` → こうひい, `taber` → たべ). Exact matches come first, then the
+ * index's own order: JLPT level (N5 first), then frequency.
+ */
+
+import { toHiragana, isKana } from 'wanakana';
+
+// Must match SEARCH_INDEX_VERSION in scripts/japanese/search-index.js
+const SEARCH_INDEX_VERSION = 1;
+
+/**
+ * Fetch and check the index.
+ * @param {string|URL} [url]
+ * @returns {Promise<object>}
+ */
+export async function loadSearchIndex(url = 'dist/search/index.json') {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Search index: HTTP ${res.status} for ${url}`);
+  const index = await res.json();
+  if (index.version !== SEARCH_INDEX_VERSION) {
+    throw new Error(`Search index: version ${index.version}, expected ${SEARCH_INDEX_VERSION}`);
+  }
+  return index;
+}
+
+// First row whose term is >= key (rows are sorted by code unit)
+function lowerBound(rows, key) {
+  let lo = 0;
+  let hi = rows.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (rows[mid][0] < key) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Word indices of every term starting with key; true for exact matches
+function prefixMatches(rows, key, found) {
+  for (let i = lowerBound(rows, key); i < rows.length && rows[i][0].startsWith(key); i++) {
+    const exact = rows[i][0] === key;
+    for (let j = 1; j < rows[i].length; j++) {
+      const w = rows[i][j];
+      found.set(w, found.get(w) || exact);
+    }
+  }
+}
+
+/**
+ * Normalised query plus its hiragana form, when the query reads as kana.
+ * Trailing letters that do not make a whole mora yet are dropped so
+ * half-typed romaji still matches.
+ */
+function queryKeys(query) {
+  const q = query.normalize('NFKC').toLowerCase().trim().replace(/['’]/g, '');
+  if (!q) return [];
+  const keys = new Set([q]);
+  const kana = toHiragana(q).replace(/[a-z]+$/, '');
+  if (kana && isKana(kana)) keys.add(kana);
+  return [...keys];
+}
+
+/**
+ * @param {object} index - From loadSearchIndex
+ * @returns {(query: string, options?: { locale?: string, limit?: number }) => Array<{
+ *   word: string, reading: string, jlpt: string, frequency: number|null, meaning: string, page: string
+ * }>}
+ */
+export function createSearch(index) {
+  return function search(query, { locale = index.locales[0], limit = 20 } = {}) {
+    const li = index.locales.indexOf(locale);
+    if (li === -1) throw new Error(`Search index: no meanings for locale "${locale}"`);
+
+    const found = new Map();
+    for (const key of queryKeys(query)) {
+      prefixMatches(index.terms, key, found);
+      prefixMatches(index.meanings[locale], key.replace(/^to\s+/, ''), found);
+    }
+
+    return [...found]
+      .sort(([a, ea], [b, eb]) => eb - ea || a - b)
+      .slice(0, limit)
+      .map(([i]) => {
+        const [word, reading, jlpt, frequency, meanings, page = word] = index.words[i];
+        return { word, reading, jlpt, frequency, meaning: meanings[li], page };
+      });
+  };
+}